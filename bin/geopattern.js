@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+'use strict'
+
+import fs from 'fs'
+import path from 'path'
+import readline from 'readline'
+import { parseArgs } from 'util'
+import { generate } from '../lib/index.js'
+import sha1 from '../lib/sha1.js'
+
+const FORMATS = {
+	svg: 'toSvg',
+	base64: 'toBase64',
+	datauri: 'toDataUri',
+	dataurl: 'toDataUrl',
+}
+
+const USAGE = `Usage: geopattern [options] [seed...]
+
+Generates a pattern for every seed. Seeds are read line by line from stdin
+when none are given, or when a seed is "-".
+
+Options:
+  -g, --generator <name>   Pattern to use instead of the hash-derived one
+  -c, --color <color>      Exact background color
+  -b, --base-color <color> Color the background hue is rotated from
+  -f, --format <format>    svg (default), base64, datauri or dataurl
+  -o, --out-dir <dir>      Write one file per seed instead of printing
+      --optimize           Round numbers and write repeated shapes and styles once
+  -h, --help               Show this help
+  -v, --version            Show the version number
+`
+
+main().catch(function (error) {
+	process.stderr.write('geopattern: ' + error.message + '\n')
+	process.exitCode = 1
+})
+
+async function main() {
+	const { values, positionals } = parseArgs({
+		allowPositionals: true,
+		options: {
+			generator: { type: 'string', short: 'g' },
+			color: { type: 'string', short: 'c' },
+			'base-color': { type: 'string', short: 'b' },
+			format: { type: 'string', short: 'f', default: 'svg' },
+			'out-dir': { type: 'string', short: 'o' },
+			optimize: { type: 'boolean' },
+			help: { type: 'boolean', short: 'h' },
+			version: { type: 'boolean', short: 'v' },
+		},
+	})
+
+	if (values.help) {
+		process.stdout.write(USAGE)
+		return
+	}
+
+	if (values.version) {
+		const pkg = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'))
+		process.stdout.write(pkg.version + '\n')
+		return
+	}
+
+	const method = FORMATS[values.format]
+
+	if (!method) {
+		throw new Error('Unknown format ' + values.format + ', expected one of ' + Object.keys(FORMATS).join(', ') + '.')
+	}
+
+	const options = {}
+	if (values.generator) options.generator = values.generator
+	if (values.color) options.color = values.color
+	if (values['base-color']) options.baseColor = values['base-color']
+
+	const outDir = values['out-dir']
+	const written = new Set()
+
+	if (outDir) {
+		fs.mkdirSync(outDir, { recursive: true })
+	}
+
+	for await (const seed of seeds(positionals)) {
+		const output = generate(seed, options)[method]({ optimize: values.optimize })
+
+		if (outDir) {
+			const file = path.join(outDir, fileName(seed, written) + (values.format === 'svg' ? '.svg' : '.txt'))
+			fs.writeFileSync(file, output)
+			process.stdout.write(file + '\n')
+		} else {
+			process.stdout.write(output + '\n')
+		}
+	}
+}
+
+async function* seeds(positionals) {
+	const args = positionals.length > 0 ? positionals : ['-']
+
+	for (const arg of args) {
+		if (arg !== '-') {
+			yield arg
+			continue
+		}
+
+		for await (const line of readline.createInterface({ input: process.stdin, crlfDelay: Infinity })) {
+			if (line.trim() !== '') {
+				yield line
+			}
+		}
+	}
+}
+
+// Keeps file names portable and distinct, falling back to the hash for seeds without usable characters
+function fileName(seed, written) {
+	const name = seed.replace(/[^\w.-]+/g, '-').replace(/^[-.]+|-+$/g, '') || sha1(seed).slice(0, 12)
+	let candidate = name
+
+	for (let i = 2; written.has(candidate.toLowerCase()); i++) {
+		candidate = name + '-' + i
+	}
+
+	written.add(candidate.toLowerCase())
+	return candidate
+}
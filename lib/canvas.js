@@ -0,0 +1,506 @@
+'use strict'
+
+import {
+	DEFAULT_STYLE,
+	apply,
+	bounds,
+	collectDefinitions,
+	gradientStops,
+	inheritStyle,
+	invert,
+	length,
+	multiply,
+	parseTransform,
+	shapeGeometry,
+} from './raster.js'
+
+// Canvas strokes default to the same miter limit as SVG
+const MITER_LIMIT = 4
+
+/**
+ * Renderer painting on a `CanvasRenderingContext2D`, the canvas backend of the drawing methods the
+ * generators call on the SVG builder. Transforms are set after the shapes they move, and sizes may be
+ * percentages of the tile, so shapes are kept until `paint()` repeats them over a rectangle. Only the
+ * drawing methods of the 2D context are used, so any object implementing them works, such as a mock in tests.
+ * Groups with an opacity are blended at once from a layer, created like the canvas of the context, and
+ * contexts without a canvas apply it to each of the shapes of the group instead.
+ */
+export default class CanvasRenderer {
+	/**
+	 * @param {CanvasRenderingContext2D} ctx
+	 */
+	constructor(ctx) {
+		if (!ctx || typeof ctx.fill !== 'function' || typeof ctx.clip !== 'function') {
+			throw new TypeError('The context must be a CanvasRenderingContext2D.')
+		}
+
+		this.ctx = ctx
+		this.width = 100
+		this.height = 100
+		this.root = shapeNode('g', {})
+		this.context = [] // Track nested groups
+		this.ids = new Map()
+	}
+	currentContext() {
+		return this.context[this.context.length - 1] || this.root
+	}
+	end() {
+		this.context.pop()
+		return this
+	}
+	currentNode() {
+		const context = this.currentContext()
+		return context.children[context.children.length - 1] || context
+	}
+	transform(transformations) {
+		this.currentNode().attributes.transform = Object.keys(transformations)
+			.map(function (transformation) {
+				return transformation + '(' + transformations[transformation].join(',') + ')'
+			})
+			.join(' ')
+		return this
+	}
+	setWidth(width) {
+		this.width = Math.floor(width)
+	}
+	setHeight(height) {
+		this.height = Math.floor(height)
+	}
+	rect(x, y, width, height, args) {
+		// Accept array first argument
+		const self = this
+		if (Array.isArray(x)) {
+			x.forEach(function (a) {
+				self.rect.apply(self, a.concat(args))
+			})
+			return this
+		}
+
+		return this.append('rect', { ...args, x: x, y: y, width: width, height: height })
+	}
+	circle(cx, cy, r, args) {
+		return this.append('circle', { ...args, cx: cx, cy: cy, r: r })
+	}
+	path(str, args) {
+		return this.append('path', { ...args, d: str })
+	}
+	polyline(str, args) {
+		// Accept array first argument
+		const self = this
+		if (Array.isArray(str)) {
+			str.forEach(function (s) {
+				self.polyline(s, args)
+			})
+			return this
+		}
+
+		return this.append('polyline', { ...args, points: str })
+	}
+	linearGradient(id, stops, args) {
+		return this.gradient('linearGradient', id, stops, args)
+	}
+	radialGradient(id, stops, args) {
+		return this.gradient('radialGradient', id, stops, args)
+	}
+	// Gradients are only referenced by the fill and stroke of shapes, with url(#id)
+	gradient(tagName, id, stops, args) {
+		const children = stops.map(function (attrs) {
+			return shapeNode('stop', { ...attrs })
+		})
+
+		this.ids.set(String(id), shapeNode(tagName, { id: id, ...args }, children))
+		return this
+	}
+	group(args) {
+		const group = shapeNode('g', { ...args })
+		this.currentContext().children.push(group)
+		this.context.push(group)
+		return this
+	}
+	/**
+	 * Takes the shapes of a tree of the SVG builder instead, for patterns that cannot be drawn again
+	 * @param {import('./xml.js').default} root - The root `<svg>` node
+	 * @returns {CanvasRenderer}
+	 */
+	load(root) {
+		this.setWidth(parseFloat(root.attributes.width))
+		this.setHeight(parseFloat(root.attributes.height))
+		this.root = root
+		collectDefinitions(root, { ids: this.ids, classes: new Map() })
+		return this
+	}
+	append(tagName, attrs) {
+		this.currentContext().children.push(shapeNode(tagName, attrs))
+		return this
+	}
+
+	/**
+	 * Paints the tile repeatedly to fill a rectangle
+	 * @param {{ x?: number, y?: number, width?: number, height?: number }} [rect] - Defaults to a tile at 0, 0
+	 */
+	paint(rect) {
+		const ctx = this.ctx
+		const tileWidth = this.width
+		const tileHeight = this.height
+		const area = { x: 0, y: 0, width: tileWidth, height: tileHeight, ...rect }
+		const scene = { viewport: { width: tileWidth, height: tileHeight }, ids: this.ids, layers: [], bounds: null }
+		const root = this.root
+
+		// The tiles are stepped through, so an empty one would never fill the rectangle
+		if (!(tileWidth > 0 && isFinite(tileWidth)) || !(tileHeight > 0 && isFinite(tileHeight))) {
+			throw new RangeError('The width and height of the tile must be positive numbers.')
+		}
+
+		;['x', 'y'].forEach(function (name) {
+			if (typeof area[name] !== 'number' || !isFinite(area[name])) {
+				throw new TypeError('The ' + name + ' of the rectangle must be a number.')
+			}
+		})
+		;['width', 'height'].forEach(function (name) {
+			if (typeof area[name] !== 'number' || !(area[name] > 0 && isFinite(area[name]))) {
+				throw new RangeError('The ' + name + ' of the rectangle must be a positive number.')
+			}
+		})
+
+		ctx.save()
+		clipRect(ctx, area.x, area.y, area.width, area.height)
+
+		// Each tile is clipped like the viewport of the SVG, as shapes overflow it to tile
+		for (let y = 0; y < area.height; y += tileHeight) {
+			for (let x = 0; x < area.width; x += tileWidth) {
+				ctx.save()
+				ctx.translate(area.x + x, area.y + y)
+				clipRect(ctx, 0, 0, tileWidth, tileHeight)
+				scene.bounds = tileBounds(ctx, tileWidth, tileHeight)
+				root.children.forEach(function (child) {
+					paintNode(ctx, child, DEFAULT_STYLE, 1, scene)
+				})
+				ctx.restore()
+			}
+		}
+
+		ctx.restore()
+	}
+}
+
+// Shapes are kept as the elements of the SVG builder would be, which the geometry helpers of raster.js read
+function shapeNode(tagName, attributes, children) {
+	return { tagName: tagName, attributes: attributes, children: children || [] }
+}
+
+function clipRect(ctx, x, y, width, height) {
+	ctx.beginPath()
+	ctx.rect(x, y, width, height)
+	ctx.clip()
+}
+
+function paintNode(ctx, node, parentStyle, parentOpacity, scene) {
+	// Loaded trees hold text and comments too
+	if (!node || !node.tagName) {
+		return
+	}
+
+	const attrs = node.attributes
+	const style = inheritStyle(parentStyle, attrs, scene)
+	const opacity = parentOpacity * (attrs.opacity === undefined ? 1 : clamp(parseFloat(attrs.opacity)))
+
+	if (!(opacity > 0)) {
+		return
+	}
+
+	// Shapes overlapping in a translucent group are painted opaque on a layer, like in SVG
+	const layer = node.tagName === 'g' && opacity < parentOpacity ? openLayer(ctx, scene) : null
+	const target = layer || ctx
+
+	target.save()
+
+	if (attrs.transform) {
+		target.transform.apply(target, parseTransform(attrs.transform))
+	}
+
+	if (node.tagName === 'g') {
+		node.children.forEach(function (child) {
+			paintNode(target, child, style, layer ? 1 : opacity, scene)
+		})
+	} else {
+		paintShape(target, node, attrs, style, opacity, scene)
+	}
+
+	target.restore()
+
+	if (layer) {
+		closeLayer(ctx, layer, opacity, scene)
+	}
+}
+
+// Pixels of the canvas covered by the tile, the only ones layers are cleared and blended on
+function tileBounds(ctx, width, height) {
+	if (!ctx.canvas || typeof ctx.getTransform !== 'function') {
+		return null
+	}
+
+	const m = ctx.getTransform()
+	const corners = [
+		[0, 0],
+		[width, 0],
+		[0, height],
+		[width, height],
+	].map(function (corner) {
+		return apply([m.a, m.b, m.c, m.d, m.e, m.f], corner[0], corner[1])
+	})
+	const xs = corners.map(function (corner) {
+		return corner[0]
+	})
+	const ys = corners.map(function (corner) {
+		return corner[1]
+	})
+	const x = Math.max(0, Math.floor(Math.min.apply(null, xs)))
+	const y = Math.max(0, Math.floor(Math.min.apply(null, ys)))
+
+	return {
+		x: x,
+		y: y,
+		width: Math.max(0, Math.min(ctx.canvas.width, Math.ceil(Math.max.apply(null, xs))) - x),
+		height: Math.max(0, Math.min(ctx.canvas.height, Math.ceil(Math.max.apply(null, ys))) - y),
+	}
+}
+
+// Context of an offscreen canvas as large as the one of ctx, cleared and with the same transform.
+// Layers are reused once blended, so nested groups only need one each
+function openLayer(ctx, scene) {
+	const canvas = ctx.canvas
+
+	if (!scene.bounds || typeof ctx.drawImage !== 'function') {
+		return null
+	}
+
+	let layer = scene.layers.pop()
+
+	if (!layer) {
+		const offscreen =
+			typeof OffscreenCanvas === 'function'
+				? new OffscreenCanvas(canvas.width, canvas.height)
+				: canvas.ownerDocument && canvas.ownerDocument.createElement('canvas')
+
+		if (!offscreen) {
+			return null
+		}
+
+		offscreen.width = canvas.width
+		offscreen.height = canvas.height
+		layer = offscreen.getContext('2d')
+	}
+
+	layer.setTransform(1, 0, 0, 1, 0, 0)
+	layer.clearRect(scene.bounds.x, scene.bounds.y, scene.bounds.width, scene.bounds.height)
+	layer.setTransform(ctx.getTransform())
+
+	return layer
+}
+
+function closeLayer(ctx, layer, opacity, scene) {
+	const box = scene.bounds
+
+	ctx.save()
+	ctx.setTransform(1, 0, 0, 1, 0, 0)
+	ctx.globalAlpha = opacity
+	ctx.drawImage(layer.canvas, box.x, box.y, box.width, box.height, box.x, box.y, box.width, box.height)
+	ctx.restore()
+	scene.layers.push(layer)
+}
+
+function paintShape(ctx, node, attrs, style, opacity, scene) {
+	const subpaths = shapeGeometry(node.tagName, attrs, scene.viewport)
+
+	if (!subpaths) {
+		return
+	}
+
+	tracePath(ctx, subpaths)
+
+	if (style.fill && node.tagName !== 'line') {
+		paint(ctx, 'fill', style.fill, subpaths, opacity * style['fill-opacity'], scene)
+	}
+
+	if (style.stroke && style['stroke-width'] > 0) {
+		ctx.lineWidth = style['stroke-width']
+		ctx.lineCap = style['stroke-linecap']
+		ctx.lineJoin = style['stroke-linejoin']
+		ctx.miterLimit = MITER_LIMIT
+		paint(ctx, 'stroke', style.stroke, subpaths, opacity * style['stroke-opacity'], scene)
+	}
+}
+
+function tracePath(ctx, subpaths) {
+	ctx.beginPath()
+	subpaths.forEach(function (subpath) {
+		traceSubpath(ctx, subpath)
+
+		if (subpath.closed) {
+			ctx.closePath()
+		}
+	})
+}
+
+function traceSubpath(ctx, subpath) {
+	ctx.moveTo(subpath.start[0], subpath.start[1])
+	subpath.segments.forEach(function (segment) {
+		if (segment.length === 2) {
+			ctx.lineTo(segment[0], segment[1])
+		} else {
+			ctx.bezierCurveTo(segment[0], segment[1], segment[2], segment[3], segment[4], segment[5])
+		}
+	})
+}
+
+// Fills or strokes the current path with a color or a gradient
+function paint(ctx, method, value, subpaths, alpha, scene) {
+	if (value.pattern) {
+		return
+	}
+
+	ctx.globalAlpha = alpha
+
+	if (!value.gradient) {
+		ctx[method + 'Style'] = rgba(value.r, value.g, value.b, value.a === undefined ? 1 : value.a)
+		ctx[method]()
+		return
+	}
+
+	const gradient = gradientSpace(value.gradient, subpaths, scene.viewport)
+
+	if (!gradient || gradient.stops.length === 0) {
+		return
+	}
+
+	// The gradient is defined in its own space, the path was traced before moving to it
+	ctx.save()
+	ctx.transform.apply(ctx, gradient.matrix)
+	if (method === 'stroke') {
+		ctx.lineWidth /= Math.sqrt(
+			Math.abs(gradient.matrix[0] * gradient.matrix[3] - gradient.matrix[1] * gradient.matrix[2])
+		)
+	}
+	ctx[method + 'Style'] = canvasGradient(ctx, value.gradient, gradient)
+	ctx[method]()
+	ctx.restore()
+}
+
+// Matrix from the space of a gradient to user space, and the corners of the shape in gradient space
+function gradientSpace(node, subpaths, viewport) {
+	const attrs = node.attributes
+	const box = bounds(subpaths)
+	let units = viewport
+	let matrix = [1, 0, 0, 1, 0, 0]
+
+	if (attrs.gradientUnits !== 'userSpaceOnUse') {
+		if (!(box.width > 0 && box.height > 0)) {
+			return null
+		}
+		units = { width: 1, height: 1 }
+		matrix = [box.width, 0, 0, box.height, box.x, box.y]
+	}
+
+	if (attrs.gradientTransform) {
+		matrix = multiply(matrix, parseTransform(attrs.gradientTransform))
+	}
+
+	const inverse = invert(matrix)
+
+	if (!inverse) {
+		return null
+	}
+
+	return {
+		matrix: matrix,
+		units: units,
+		stops: gradientStops(node),
+		corners: [
+			[box.x, box.y],
+			[box.x + box.width, box.y],
+			[box.x, box.y + box.height],
+			[box.x + box.width, box.y + box.height],
+		].map(function (corner) {
+			return apply(inverse, corner[0], corner[1])
+		}),
+	}
+}
+
+// Canvas gradients only pad, repeated and reflected gradients are unrolled over the shape
+function canvasGradient(ctx, node, space) {
+	const attrs = node.attributes
+	const units = space.units
+	const spread = attrs.spreadMethod || 'pad'
+	let gradient, positions
+
+	if (node.tagName === 'linearGradient') {
+		const x1 = length(attrs.x1, units.width)
+		const y1 = length(attrs.y1, units.height)
+		const x2 = length(attrs.x2 === undefined ? '100%' : attrs.x2, units.width)
+		const y2 = length(attrs.y2, units.height)
+		const squared = (x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1)
+
+		positions = space.corners.map(function (p) {
+			return squared > 0 ? ((p[0] - x1) * (x2 - x1) + (p[1] - y1) * (y2 - y1)) / squared : 0
+		})
+
+		const range = periods(positions, spread)
+		gradient = ctx.createLinearGradient(
+			x1 + range[0] * (x2 - x1),
+			y1 + range[0] * (y2 - y1),
+			x1 + range[1] * (x2 - x1),
+			y1 + range[1] * (y2 - y1)
+		)
+		addStops(gradient, space.stops, spread, range)
+	} else {
+		const cx = length(attrs.cx === undefined ? '50%' : attrs.cx, units.width)
+		const cy = length(attrs.cy === undefined ? '50%' : attrs.cy, units.height)
+		const r = length(attrs.r === undefined ? '50%' : attrs.r, Math.hypot(units.width, units.height) / Math.SQRT2)
+
+		positions = space.corners.map(function (p) {
+			return r > 0 ? Math.hypot(p[0] - cx, p[1] - cy) / r : 0
+		})
+
+		const range = [0, periods(positions, spread)[1]]
+		gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, r * range[1])
+		addStops(gradient, space.stops, spread, range)
+	}
+
+	return gradient
+}
+
+// Whole periods of the gradient covering the shape, a single one when it pads
+function periods(positions, spread) {
+	if (spread !== 'repeat' && spread !== 'reflect') {
+		return [0, 1]
+	}
+
+	return [Math.floor(Math.min.apply(null, positions)), Math.max(1, Math.ceil(Math.max.apply(null, positions)))]
+}
+
+function addStops(gradient, stops, spread, range) {
+	const count = range[1] - range[0]
+
+	for (let period = range[0]; period < range[1]; period++) {
+		const reflected = spread === 'reflect' && Math.abs(period) % 2 === 1
+		const ordered = reflected ? stops.slice().reverse() : stops
+
+		ordered.forEach(function (stop) {
+			const offset = reflected ? 1 - stop[0] : stop[0]
+			const a = stop[4]
+
+			gradient.addColorStop(
+				(period - range[0] + offset) / count,
+				a > 0 ? rgba(stop[1] / a, stop[2] / a, stop[3] / a, a) : 'rgba(0,0,0,0)'
+			)
+		})
+	}
+}
+
+function clamp(value) {
+	return isNaN(value) ? 1 : Math.min(1, Math.max(0, value))
+}
+
+function rgba(r, g, b, a) {
+	return 'rgba(' + Math.round(r * 255) + ',' + Math.round(g * 255) + ',' + Math.round(b * 255) + ',' + a + ')'
+}
@@ -1,5 +1,7 @@
 'use strict'
 
+import namedColors from './named-colors.js'
+
 /**
  * Converts a hex CSS color value to RGB.
  * Adapted from http://stackoverflow.com/a/5624139.
@@ -127,11 +129,398 @@ function hsl2rgb(hsl) {
 	}
 }
 
+// Matrices of CSS Color Module Level 4, https://www.w3.org/TR/css-color-4/#color-conversion-code
+var OKLAB_TO_LMS = [
+	[1, 0.3963377774, 0.2158037573],
+	[1, -0.1055613458, -0.0638541728],
+	[1, -0.0894841775, -1.291485548],
+]
+var LMS_TO_LINEAR_SRGB = [
+	[4.0767416621, -3.3077115913, 0.2309699292],
+	[-1.2684380046, 2.6097574011, -0.3413193965],
+	[-0.0041960863, -0.7034186147, 1.707614701],
+]
+var LINEAR_SRGB_TO_LMS = [
+	[0.4122214708, 0.5363325363, 0.0514459929],
+	[0.2119034982, 0.6806995451, 0.1073969566],
+	[0.0883024619, 0.2817188376, 0.6299787005],
+]
+var LMS_TO_OKLAB = [
+	[0.2104542553, 0.793617785, -0.0040720468],
+	[1.9779984951, -2.428592205, 0.4505937099],
+	[0.0259040371, 0.7827717662, -0.808675766],
+]
+var XYZ_D50_TO_LINEAR_SRGB = multiply(
+	[
+		[3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+		[-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+		[0.05563007969699366, -0.20397695888897652, 1.0569715142428786],
+	],
+	// Bradford chromatic adaptation from D50 to D65
+	[
+		[0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+		[-0.028369706963208136, 1.0099954580106629, 0.021041398966943008],
+		[0.012314001688319899, -0.020507696433477912, 1.3303659366080753],
+	]
+)
+var D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585]
+
+/**
+ * Converts an RGB color value to OKLCH, the polar form of the OKLab
+ * perceptual color space (https://bottosson.github.io/posts/oklab/).
+ * Assumes r, g, and b are contained in the set [0, 255] and
+ * returns l in [0, 1], c from 0 to about 0.37 in sRGB, and h in [0, 1].
+ *
+ * @param   Object  rgb     RGB as r, g, and b keys
+ * @return  Object          OKLCH as l, c, and h keys
+ */
+function rgb2oklch(rgb) {
+	var linear = [rgb.r, rgb.g, rgb.b].map(linearize)
+	var lms = transform(LINEAR_SRGB_TO_LMS, linear).map(Math.cbrt)
+	var lab = transform(LMS_TO_OKLAB, lms)
+	var c = Math.sqrt(lab[1] * lab[1] + lab[2] * lab[2])
+	var h = Math.atan2(lab[2], lab[1]) / (2 * Math.PI)
+
+	// Grays have no hue, float noise would give them a random one
+	return { l: lab[0], c: c < 1e-7 ? 0 : c, h: c < 1e-7 ? 0 : h - Math.floor(h) }
+}
+
+/**
+ * Converts an OKLCH color value to RGB. Colors outside of the sRGB gamut
+ * have their chroma reduced until they fit, keeping lightness and hue.
+ * Assumes l and h are contained in the set [0, 1] and
+ * returns r, g, and b in the set [0, 255].
+ *
+ * @param   Object  lch     OKLCH as l, c, and h keys
+ * @return  Object          RGB as r, g, and b values
+ */
+function oklch2rgb(lch) {
+	var l = clamp(lch.l)
+	var rgb = oklab2srgb.apply(null, polar(l, lch.c, lch.h))
+
+	if (!inGamut(rgb)) {
+		var low = 0
+		var high = Math.max(0, lch.c)
+
+		// Bisects the chroma, the gamut is convex enough along it for a given hue and lightness
+		for (var i = 0; i < 24; i++) {
+			var candidate = oklab2srgb.apply(null, polar(l, (low + high) / 2, lch.h))
+
+			if (inGamut(candidate)) {
+				low = (low + high) / 2
+				rgb = candidate
+			} else {
+				high = (low + high) / 2
+			}
+		}
+
+		if (low === 0) {
+			rgb = oklab2srgb(l, 0, 0)
+		}
+	}
+
+	return {
+		r: Math.round(clamp(rgb[0]) * 255),
+		g: Math.round(clamp(rgb[1]) * 255),
+		b: Math.round(clamp(rgb[2]) * 255),
+	}
+}
+
+function inGamut(rgb) {
+	return rgb.every(function (value) {
+		return value >= -1e-6 && value <= 1 + 1e-6
+	})
+}
+
+/**
+ * Computes the relative luminance of an RGB color as defined by WCAG 2.x,
+ * https://www.w3.org/TR/WCAG21/#dfn-relative-luminance.
+ *
+ * @param   Object  rgb     RGB as r, g, and b keys in [0, 255]
+ * @return  Number          Luminance in [0, 1]
+ */
+function luminance(rgb) {
+	return 0.2126 * linearize(rgb.r) + 0.7152 * linearize(rgb.g) + 0.0722 * linearize(rgb.b)
+}
+
+/**
+ * Computes the WCAG 2.x contrast ratio of two RGB colors, in either order.
+ *
+ * @param   Object  a       RGB as r, g, and b keys in [0, 255]
+ * @param   Object  b       RGB as r, g, and b keys in [0, 255]
+ * @return  Number          Ratio from 1 to 21, text needs 4.5 to be AA compliant
+ */
+function contrastRatio(a, b) {
+	var la = luminance(a)
+	var lb = luminance(b)
+
+	return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05)
+}
+
+/**
+ * Computes the APCA lightness contrast of text over a background, following
+ * the 0.0.98G-4g constants of https://github.com/Myndex/apca-w3.
+ *
+ * @param   Object  text        RGB as r, g, and b keys in [0, 255]
+ * @param   Object  background  RGB as r, g, and b keys in [0, 255]
+ * @return  Number              Lc from about -108 to 106, positive for dark text on a light background
+ */
+function apcaContrast(text, background) {
+	var yText = apcaLuminance(text)
+	var yBackground = apcaLuminance(background)
+	var sapc
+
+	if (Math.abs(yBackground - yText) < 0.0005) {
+		return 0
+	}
+
+	if (yBackground > yText) {
+		sapc = (Math.pow(yBackground, 0.56) - Math.pow(yText, 0.57)) * 1.14
+		return sapc < 0.1 ? 0 : (sapc - 0.027) * 100
+	}
+
+	sapc = (Math.pow(yBackground, 0.65) - Math.pow(yText, 0.62)) * 1.14
+	return sapc > -0.1 ? 0 : (sapc + 0.027) * 100
+}
+
+// APCA estimates screen luminance with a plain 2.4 exponent, soft-clipping the blacks
+function apcaLuminance(rgb) {
+	var y =
+		0.2126729 * Math.pow(rgb.r / 255, 2.4) +
+		0.7151522 * Math.pow(rgb.g / 255, 2.4) +
+		0.072175 * Math.pow(rgb.b / 255, 2.4)
+
+	return y < 0.022 ? y + Math.pow(0.022 - y, 1.414) : y
+}
+
+/**
+ * Parses any CSS color: hex with optional alpha, named colors, rgb(), rgba(),
+ * hsl(), hsla(), hwb(), lab(), lch(), oklab() and oklch(), in both the legacy
+ * comma-separated and the modern space-separated syntax. Colors outside of the
+ * sRGB gamut are clipped.
+ *
+ * @param	String	value	The CSS color
+ * @return	Object			RGB as r, g, and b keys in [0, 255], plus the alpha a in [0, 1]
+ */
+function parse(value) {
+	var string = String(value).trim().toLowerCase()
+	var rgb = null
+
+	if (string[0] === '#') {
+		rgb = parseHex(string.slice(1))
+	} else if (Object.prototype.hasOwnProperty.call(namedColors, string)) {
+		rgb = parseHex(namedColors[string])
+	} else if (string === 'transparent') {
+		rgb = { r: 0, g: 0, b: 0, a: 0 }
+	} else {
+		var match = /^([a-z]+)\(([^()]*)\)$/.exec(string)
+		rgb = match && parseFunction(match[1], match[2])
+	}
+
+	if (!rgb) {
+		throw new TypeError('The color ' + JSON.stringify(value) + ' is not a valid CSS color.')
+	}
+
+	return rgb
+}
+
+function parseHex(hex) {
+	if (!/^([a-f\d]{3,4}|[a-f\d]{6}|[a-f\d]{8})$/.test(hex)) {
+		return null
+	}
+
+	if (hex.length < 6) {
+		hex = hex.replace(/./g, '$&$&')
+	}
+
+	return {
+		r: parseInt(hex.substr(0, 2), 16),
+		g: parseInt(hex.substr(2, 2), 16),
+		b: parseInt(hex.substr(4, 2), 16),
+		a: hex.length === 8 ? parseInt(hex.substr(6, 2), 16) / 255 : 1,
+	}
+}
+
+function parseFunction(name, body) {
+	var legacy = body.indexOf(',') !== -1
+	var args = legacy ? body.split(',') : body.replace('/', ' / ').split('/')
+	var channels = legacy ? args.slice(0, 3) : args[0].trim().split(/\s+/)
+	var alpha = legacy ? args[3] : args[1]
+
+	if (channels.length !== 3 || (legacy ? args.length > 4 : args.length > 2)) {
+		return null
+	}
+
+	var a = alpha === undefined ? 1 : number(alpha, 1)
+	var c = channels.map(function (channel) {
+		return channel.trim()
+	})
+	var rgb
+
+	switch (name) {
+		case 'rgb':
+		case 'rgba':
+			rgb = c.map(function (channel) {
+				return number(channel, 255) / 255
+			})
+			break
+		case 'hsl':
+		case 'hsla':
+			rgb = hsl(hue(c[0]), number(c[1], 100) / 100, number(c[2], 100) / 100)
+			break
+		case 'hwb':
+			rgb = hwb(hue(c[0]), number(c[1], 100) / 100, number(c[2], 100) / 100)
+			break
+		case 'lab':
+			rgb = lab2srgb(number(c[0], 100), number(c[1], 125), number(c[2], 125))
+			break
+		case 'lch':
+			rgb = lab2srgb.apply(null, polar(number(c[0], 100), number(c[1], 150), hue(c[2])))
+			break
+		case 'oklab':
+			rgb = oklab2srgb(number(c[0], 1), number(c[1], 0.4), number(c[2], 0.4))
+			break
+		case 'oklch':
+			rgb = oklab2srgb.apply(null, polar(number(c[0], 1), number(c[1], 0.4), hue(c[2])))
+			break
+		default:
+			return null
+	}
+
+	if (isNaN(a) || rgb.some(isNaN)) {
+		return null
+	}
+
+	return {
+		r: Math.round(clamp(rgb[0]) * 255),
+		g: Math.round(clamp(rgb[1]) * 255),
+		b: Math.round(clamp(rgb[2]) * 255),
+		a: clamp(a),
+	}
+}
+
+// Reads a number or a percentage of `full`, "none" standing for zero
+function number(token, full) {
+	token = token.trim()
+
+	if (token === 'none') {
+		return 0
+	}
+	if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?%?$/.test(token)) {
+		return NaN
+	}
+
+	return token.slice(-1) === '%' ? (parseFloat(token) / 100) * full : parseFloat(token)
+}
+
+// Reads an angle as a fraction of a turn
+function hue(token) {
+	var units = { deg: 1 / 360, grad: 1 / 400, rad: 1 / (2 * Math.PI), turn: 1 }
+	var match = /^(.*?)(deg|grad|rad|turn)?$/.exec(token.trim())
+	var value = match[1].slice(-1) === '%' ? NaN : number(match[1], 0)
+	var turns = value * units[match[2] || 'deg']
+
+	return turns - Math.floor(turns)
+}
+
+function hsl(h, s, l) {
+	if (isNaN(h + s + l)) {
+		return [NaN, NaN, NaN]
+	}
+
+	var rgb = hsl2rgb({ h: h, s: clamp(s), l: clamp(l) })
+	return [rgb.r / 255, rgb.g / 255, rgb.b / 255]
+}
+
+function hwb(h, w, b) {
+	if (isNaN(h + w + b)) {
+		return [NaN, NaN, NaN]
+	}
+
+	w = clamp(w)
+	b = clamp(b)
+
+	if (w + b >= 1) {
+		return [w / (w + b), w / (w + b), w / (w + b)]
+	}
+
+	return hsl(h, 1, 0.5).map(function (channel) {
+		return channel * (1 - w - b) + w
+	})
+}
+
+function polar(l, c, h) {
+	return [l, Math.max(0, c) * Math.cos(h * 2 * Math.PI), Math.max(0, c) * Math.sin(h * 2 * Math.PI)]
+}
+
+function lab2srgb(l, a, b) {
+	var epsilon = 216 / 24389
+	var kappa = 24389 / 27
+	var fy = (l + 16) / 116
+	var fx = fy + a / 500
+	var fz = fy - b / 200
+	var xyz = [
+		Math.pow(fx, 3) > epsilon ? Math.pow(fx, 3) : (116 * fx - 16) / kappa,
+		l > kappa * epsilon ? Math.pow(fy, 3) : l / kappa,
+		Math.pow(fz, 3) > epsilon ? Math.pow(fz, 3) : (116 * fz - 16) / kappa,
+	].map(function (value, i) {
+		return value * D50_WHITE[i]
+	})
+
+	return transform(XYZ_D50_TO_LINEAR_SRGB, xyz).map(gamma)
+}
+
+function oklab2srgb(l, a, b) {
+	var lms = transform(OKLAB_TO_LMS, [l, a, b]).map(function (value) {
+		return value * value * value
+	})
+
+	return transform(LMS_TO_LINEAR_SRGB, lms).map(gamma)
+}
+
+// Decodes an sRGB channel in [0, 255] to linear light
+function linearize(value) {
+	value /= 255
+	return value > 0.04045 ? Math.pow((value + 0.055) / 1.055, 2.4) : value / 12.92
+}
+
+// Encodes a linear-light sRGB channel
+function gamma(value) {
+	var sign = value < 0 ? -1 : 1
+	var abs = Math.abs(value)
+
+	return abs > 0.0031308 ? sign * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055) : 12.92 * value
+}
+
+function transform(matrix, vector) {
+	return matrix.map(function (row) {
+		return row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]
+	})
+}
+
+function multiply(a, b) {
+	return a.map(function (row) {
+		return [0, 1, 2].map(function (j) {
+			return row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]
+		})
+	})
+}
+
+function clamp(value) {
+	return Math.min(1, Math.max(0, value))
+}
+
 export default {
 	hex2rgb: hex2rgb,
+	parse: parse,
 	rgb2hex: rgb2hex,
 	rgb2hsl: rgb2hsl,
 	hsl2rgb: hsl2rgb,
+	rgb2oklch: rgb2oklch,
+	oklch2rgb: oklch2rgb,
+	luminance: luminance,
+	contrastRatio: contrastRatio,
+	apcaContrast: apcaContrast,
 	rgb2rgbString: function (rgb) {
 		return 'rgb(' + [rgb.r, rgb.g, rgb.b].join(',') + ')'
 	},
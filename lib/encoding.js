@@ -0,0 +1,46 @@
+'use strict'
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * Encodes the UTF-8 bytes of a string in base64 (RFC 4648), without `btoa` or `Buffer`
+ * so that it runs in any JavaScript runtime and accepts any character.
+ * @param {string} string
+ * @returns {string}
+ */
+export function base64(string) {
+	const bytes = new TextEncoder().encode(string)
+	const chunks = []
+
+	for (let i = 0; i < bytes.length; i += 3) {
+		const n = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2]
+
+		chunks.push(
+			ALPHABET[n >>> 18] +
+				ALPHABET[(n >>> 12) & 63] +
+				(i + 1 < bytes.length ? ALPHABET[(n >>> 6) & 63] : '=') +
+				(i + 2 < bytes.length ? ALPHABET[n & 63] : '=')
+		)
+	}
+
+	return chunks.join('')
+}
+
+/**
+ * Percent-encodes a string for a data URI, leaving readable every character
+ * that is safe in a URI and in a double-quoted CSS `url()`.
+ * `%` and `#` would end the data, `"` and `\` the CSS string, and other bytes
+ * are control characters, whitespace but spaces, or outside of ASCII.
+ * @param {string} string
+ * @returns {string}
+ */
+export function percentEncode(string) {
+	const encoder = new TextEncoder()
+
+	// Lone surrogates, which encodeURIComponent rejects, are encoded as U+FFFD like in base64()
+	return string.replace(/[%#"\\\x00-\x1f\x7f-\uffff]+/g, function (characters) {
+		return Array.from(encoder.encode(characters), function (byte) {
+			return '%' + (byte < 16 ? '0' : '') + byte.toString(16).toUpperCase()
+		}).join('')
+	})
+}
@@ -0,0 +1,50 @@
+'use strict'
+
+// Only the stream of the last hash is kept, patterns are generated one at a time
+let last = { hash: null, stream: '', next: null }
+
+/**
+ * Extends a hash with hex digits drawn from a PRNG seeded by the whole digest.
+ * The digest itself is kept as the prefix, so reading within it is unchanged.
+ * @param {string} hash - Hex digest
+ * @param {number} length - Minimum number of digits to return
+ * @returns {string}
+ */
+export default function extendHash(hash, length) {
+	if (length <= hash.length) {
+		return hash
+	}
+
+	if (last.hash !== hash) {
+		last = { hash: hash, stream: hash, next: random(seed(hash)) }
+	}
+
+	while (last.stream.length < length) {
+		last.stream += ('0000000' + last.next().toString(16)).slice(-8)
+	}
+
+	return last.stream
+}
+
+// Folds every digit of the hash into 32 bits
+function seed(hash) {
+	let h = 0
+
+	for (let i = 0; i < hash.length; i += 8) {
+		h = Math.imul(h ^ parseInt(hash.substr(i, 8), 16), 0x9e3779b1)
+		h = (h << 13) | (h >>> 19)
+	}
+
+	return h >>> 0
+}
+
+// SplitMix32, small and well distributed
+function random(state) {
+	return function () {
+		state = (state + 0x9e3779b9) | 0
+		let z = state
+		z = Math.imul(z ^ (z >>> 16), 0x21f0aaad)
+		z = Math.imul(z ^ (z >>> 15), 0x735a2d97)
+		return (z ^ (z >>> 15)) >>> 0
+	}
+}
@@ -0,0 +1,38 @@
+'use strict'
+
+const OFFSET_BASIS = 0x811c9dc5
+const PRIME = 0x01000193
+const LANES = 5
+
+/**
+ * Fast, non-cryptographic hash of the UTF-8 encoding of a string.
+ * Runs 32-bit FNV-1a over five lanes with distinct offset bases, each finished
+ * with the MurmurHash3 mixer so that every hex digit depends on the whole input.
+ * @param {string} string
+ * @returns {string} 40 hexadecimal digits, as many as SHA-1
+ */
+export default function fnv1a(string) {
+	const bytes = new TextEncoder().encode(string)
+	let hex = ''
+
+	for (let lane = 0; lane < LANES; lane++) {
+		let h = (OFFSET_BASIS ^ Math.imul(lane, 0x9e3779b9)) >>> 0
+
+		for (let i = 0; i < bytes.length; i++) {
+			h = Math.imul(h ^ bytes[i], PRIME)
+		}
+
+		hex += ('0000000' + (fmix32(h) >>> 0).toString(16)).slice(-8)
+	}
+
+	return hex
+}
+
+function fmix32(h) {
+	h ^= h >>> 16
+	h = Math.imul(h, 0x85ebca6b)
+	h ^= h >>> 13
+	h = Math.imul(h, 0xc2b2ae35)
+	h ^= h >>> 16
+	return h
+}
@@ -2,12 +2,23 @@
 
 import Pattern from './pattern.js'
 
+export { registerGenerator, unregisterGenerator } from './pattern.js'
+export { default as verifyTiling } from './tiling.js'
+
 /**
  * Options to override default parameters
  * @typedef {Object} Options
  * @property {string} [baseColor] - Controls the relative background color of the generated image
- * @property {string} [color] - Specify an exact background color. This is a CSS hexadecimal color value.
+ * @property {string} [color] - Specify an exact background color. This is any CSS color, its alpha is ignored.
+ * @property {boolean | { duration?: number }} [animate] - Loops an animation of the shapes with CSS keyframes, lasting `duration` seconds
+ * @property {'solid' | 'linear' | 'radial' | 'mesh-like'} [background] - Fills the background with a gradient to a hue-shifted color, defaults to 'solid'
+ * @property {'hsl' | 'oklch'} [colorSpace] - Space in which the base color is rotated, defaults to 'hsl'
  * @property {string} [generator] - Determines the pattern
+ * @property {{ columns?: number, rows?: number, tileSize?: number }} [grid] - Number of cells of grid-based patterns
+ * @property {Object<string, number>} [params] - Pins parameters of the generator, such as `{ amplitude: 40 }` for sineWaves
+ * @property {'analogous' | 'complementary' | 'triadic' | string[]} [palette] - Colors to paint the shapes with, derived from the background or listed
+ * @property {string} [hash] - Precomputed hash of at least 28 hexadecimal digits, used instead of hashing the string
+ * @property {'sha1' | 'sha256' | 'fnv1a' | function(string): string} [hashAlgorithm] - Hashes the string, defaults to 'sha1'
  */
 
 /**
@@ -32,3 +43,12 @@ export function generate(string, options) {
 
 	return new Pattern(string, options)
 }
+
+/**
+ * Restores a pattern from the JSON descriptor returned by `Pattern.toJSON()`
+ * @param {Object | string} json - Descriptor, or its JSON string
+ * @returns {Pattern}
+ */
+export function fromJSON(json) {
+	return Pattern.fromJSON(json)
+}
@@ -0,0 +1,191 @@
+'use strict'
+
+import XMLNode from './xml.js'
+
+const DEFAULT_PRECISION = 3
+// Presentation attributes gathered into classes, in the order of the declarations
+const STYLE_ATTRIBUTES = [
+	'fill',
+	'fill-opacity',
+	'stroke',
+	'stroke-opacity',
+	'stroke-width',
+	'stroke-linecap',
+	'stroke-linejoin',
+	'opacity',
+]
+// Attributes holding names, colors or references rather than numbers to round
+const TEXT_ATTRIBUTES = [
+	'class',
+	'clip-path',
+	'fill',
+	'gradientUnits',
+	'href',
+	'id',
+	'spreadMethod',
+	'stop-color',
+	'stroke',
+	'style',
+	'xmlns',
+]
+const GEOMETRY_ATTRIBUTES = {
+	path: 'd',
+	polygon: 'points',
+	polyline: 'points',
+}
+const NUMBER = /-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi
+
+/**
+ * Makes a smaller copy of an SVG tree that renders the same: numbers are rounded,
+ * paths and polylines drawn several times are defined once and drawn with `<use>`,
+ * and presentation attributes shared by several elements become classes.
+ * @param {XMLNode} root - The `<svg>` node, left untouched
+ * @param {Object} options
+ * @param {string} options.prefix - Prefix of the ids and classes, unique to the document
+ * @param {number} [options.precision] - Number of decimals to keep, 3 by default
+ * @returns {XMLNode}
+ */
+export default function optimize(root, options) {
+	const precision = options.precision === undefined ? DEFAULT_PRECISION : options.precision
+	const svg = copy(root, precision)
+
+	hoistGeometry(svg, options.prefix)
+	hoistStyles(svg, options.prefix)
+
+	return svg
+}
+
+function copy(node, precision) {
+	if (!(node instanceof XMLNode)) {
+		return node
+	}
+
+	const clone = new XMLNode(node.tagName)
+
+	Object.keys(node.attributes).forEach(function (name) {
+		const value = node.attributes[name]
+		clone.setAttribute(name, TEXT_ATTRIBUTES.indexOf(name) === -1 ? round(value, precision) : value)
+	})
+
+	node.children.forEach(function (child) {
+		clone.appendChild(copy(child, precision))
+	})
+
+	return clone
+}
+
+function round(value, precision) {
+	return String(value).replace(NUMBER, function (number) {
+		const rounded = Number(Number(number).toFixed(precision))
+		return String(rounded === 0 ? 0 : rounded)
+	})
+}
+
+// Calls fn with every element drawn as content, along with its parent
+function walk(node, fn) {
+	node.children.forEach(function (child) {
+		if (!(child instanceof XMLNode) || child.tagName === 'defs' || child.tagName === 'style') {
+			return
+		}
+
+		fn(child, node)
+		walk(child, fn)
+	})
+}
+
+function defs(svg) {
+	let node = svg.children.find(function (child) {
+		return child.tagName === 'defs'
+	})
+
+	if (!node) {
+		node = new XMLNode('defs')
+		svg.children.unshift(node)
+	}
+
+	return node
+}
+
+function hoistGeometry(svg, prefix) {
+	const shapes = new Map()
+
+	walk(svg, function (node, parent) {
+		const geometry = GEOMETRY_ATTRIBUTES[node.tagName]
+
+		if (geometry && node.attributes.id === undefined && node.children.length === 0) {
+			const key = node.tagName + ' ' + node.attributes[geometry]
+			const uses = shapes.get(key) || []
+
+			uses.push({ node: node, parent: parent })
+			shapes.set(key, uses)
+		}
+	})
+
+	let count = 0
+	shapes.forEach(function (uses) {
+		if (uses.length < 2) {
+			return
+		}
+
+		const first = uses[0].node
+		const geometry = GEOMETRY_ATTRIBUTES[first.tagName]
+		const id = prefix + '-' + count++
+
+		defs(svg).appendChild(
+			new XMLNode(first.tagName).setAttribute('id', id).setAttribute(geometry, first.attributes[geometry])
+		)
+
+		uses.forEach(function (use) {
+			const node = new XMLNode('use').setAttribute('href', '#' + id)
+
+			Object.keys(use.node.attributes).forEach(function (name) {
+				if (name !== geometry) {
+					node.setAttribute(name, use.node.attributes[name])
+				}
+			})
+			use.parent.children[use.parent.children.indexOf(use.node)] = node
+		})
+	})
+}
+
+function hoistStyles(svg, prefix) {
+	const styles = new Map()
+
+	walk(svg, function (node) {
+		const declarations = STYLE_ATTRIBUTES.filter(function (name) {
+			return node.attributes[name] !== undefined
+		}).map(function (name) {
+			return name + ':' + node.attributes[name]
+		})
+
+		if (declarations.length > 0) {
+			const key = declarations.join(';')
+			const nodes = styles.get(key) || []
+
+			nodes.push(node)
+			styles.set(key, nodes)
+		}
+	})
+
+	let css = ''
+	let count = 0
+	styles.forEach(function (nodes, declarations) {
+		if (nodes.length < 2) {
+			return
+		}
+
+		const name = prefix + '-s' + count++
+
+		css += '.' + name + '{' + declarations + '}'
+		nodes.forEach(function (node) {
+			STYLE_ATTRIBUTES.forEach(function (attr) {
+				delete node.attributes[attr]
+			})
+			node.setAttribute('class', node.attributes.class === undefined ? name : node.attributes.class + ' ' + name)
+		})
+	})
+
+	if (css) {
+		defs(svg).appendChild(new XMLNode('style').appendChild(css))
+	}
+}
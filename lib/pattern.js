@@ -1,14 +1,25 @@
 'use strict'
 
+import CanvasRenderer from './canvas.js'
 import color from './color.js'
+import { base64, percentEncode } from './encoding.js'
+import extendHash from './entropy.js'
+import fnv1a from './fnv1a.js'
+import optimize from './optimize.js'
+import encodePng from './png.js'
+import rasterize from './raster.js'
 import sha1 from './sha1.js'
+import sha256 from './sha256.js'
 import SVG from './svg.js'
+import XMLNode from './xml.js'
 
 const DEFAULTS = {
 	baseColor: '#933c3c',
+	colorSpace: 'hsl',
+	background: 'solid',
 }
 
-const PATTERNS = [
+export const PATTERNS = [
 	'octogons',
 	'overlappingCircles',
 	'plusSigns',
@@ -25,21 +36,262 @@ const PATTERNS = [
 	'nestedSquares',
 	'mosaicSquares',
 	'chevrons',
+	'truchet',
 ]
 
+// Built-in generators added after the original ones are only drawn when named, so that seeds keep their pattern
+const NAMED_ONLY_PATTERNS = ['truchet']
+
+// Range of the parameters each generator maps from a hash digit, and options.params can pin within
+const GENERATOR_PARAMS = {
+	octogons: { squareSize: [10, 60] },
+	overlappingCircles: { diameter: [25, 200] },
+	plusSigns: { squareSize: [10, 25] },
+	xes: { squareSize: [10, 25] },
+	sineWaves: { period: [100, 400], amplitude: [30, 100], waveWidth: [3, 30] },
+	hexagons: { sideLength: [8, 60] },
+	overlappingRings: { ringSize: [10, 60] },
+	plaid: {},
+	triangles: { sideLength: [15, 80] },
+	squares: { squareSize: [10, 60] },
+	concentricCircles: { ringSize: [10, 60] },
+	diamonds: { diamondWidth: [10, 50], diamondHeight: [10, 50] },
+	tessellation: { sideLength: [5, 40] },
+	nestedSquares: { blockSize: [4, 12] },
+	mosaicSquares: { triangleSize: [15, 50] },
+	chevrons: { chevronWidth: [30, 80], chevronHeight: [30, 80] },
+	truchet: { cellSize: [20, 60], strokeWidth: [2, 10] },
+}
+
+const HASH_ALGORITHMS = {
+	sha1: sha1,
+	sha256: sha256,
+	fnv1a: fnv1a,
+}
+
+// Colors, backgrounds and the pick of the generator read digits up to the 28th. Other digits, such as those of
+// the cells, keep coming from the stream hexVal() extends shorter digests with
+const HASH_MIN_LENGTH = 28
+
+const COLOR_SPACES = ['hsl', 'oklch']
+const BACKGROUNDS = ['solid', 'linear', 'radial', 'mesh-like']
+// Periods of linear gradients across the tile width and height, whole numbers so that they tile
+const GRADIENT_DIRECTIONS = [
+	[1, 0],
+	[1, 1],
+	[0, 1],
+	[-1, 1],
+]
+// Hue distance in degrees of the second gradient color from the background color
+const GRADIENT_HUE_SHIFT_MIN = 20
+const GRADIENT_HUE_SHIFT_MAX = 60
+const MESH_BLOBS = 3
+// Generators moving by a whole tile when animated, horizontally or vertically; shapes of the others pulse
+const ANIMATIONS = {
+	sineWaves: 'drift',
+	chevrons: 'scroll',
+}
+const ANIMATION_DURATION = 8
+// Opacity of the shapes at the middle of a pulse, relative to their own
+const PULSE_OPACITY = 0.25
+// Chroma per point of the saturation offset, which spans 15 points of HSL saturation
+const OKLCH_CHROMA_STEP = 0.004
+
 const FILL_COLOR_DARK = '#222'
 const FILL_COLOR_LIGHT = '#ddd'
+// Hue offsets in degrees from the background, each hue gets a light and a dark shade
+const PALETTES = {
+	analogous: [-30, 0, 30],
+	complementary: [0, 180],
+	triadic: [0, 120, 240],
+}
+const PALETTE_LIGHTNESS_LIGHT = 0.85
+const PALETTE_LIGHTNESS_DARK = 0.15
+const PALETTE_OKLCH_LIGHTNESS_LIGHT = 0.9
+const PALETTE_OKLCH_LIGHTNESS_DARK = 0.3
 const STROKE_COLOR = '#000'
 const STROKE_OPACITY = 0.02
 const OPACITY_MIN = 0.02
 const OPACITY_MAX = 0.15
 
+const TEXT_COLOR_DARK = '#000000'
+const TEXT_COLOR_LIGHT = '#ffffff'
+// Longest side of the tile when rendering it to measure its mean color
+const MEAN_COLOR_TILE_SIZE = 64
+
+// Version of the JSON descriptor, restored patterns of other versions could differ
+const JSON_VERSION = 1
+
+// Types of the fields of the descriptor, all of which are needed to restore a pattern
+const JSON_FIELDS = {
+	version: 'number',
+	hash: 'string',
+	seed: 'string',
+	generator: 'string',
+	options: 'object',
+	color: 'string',
+	palette: 'array',
+	params: 'object',
+	svg: 'object',
+}
+
+// Side of avatars in pixels, the tile is scaled to it
+const AVATAR_SIZE = 128
+
+// Initials are drawn in the system font, 0.4 times as tall as the avatar
+const AVATAR_FONT_FAMILY = "system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif"
+const AVATAR_FONT_SIZE = 0.4
+const AVATAR_FONT_WEIGHT = 600
+
+// Squircles are the superellipse |x|^4 + |y|^4 = 1, drawn as a polygon of as many points
+const SQUIRCLE_EXPONENT = 4
+const SQUIRCLE_POINTS = 64
+
+// Clip paths of the avatar shapes, for an avatar of the given side
+const AVATAR_SHAPES = {
+	square: function () {
+		return null
+	},
+	circle: function (side) {
+		return new XMLNode('circle')
+			.setAttribute('cx', side / 2)
+			.setAttribute('cy', side / 2)
+			.setAttribute('r', side / 2)
+	},
+	rounded: function (side) {
+		return new XMLNode('rect')
+			.setAttribute('width', side)
+			.setAttribute('height', side)
+			.setAttribute('rx', round(side * 0.2))
+	},
+	squircle: function (side) {
+		const points = []
+
+		for (let i = 0; i < SQUIRCLE_POINTS; i++) {
+			const angle = (i / SQUIRCLE_POINTS) * 2 * Math.PI
+			const cos = Math.cos(angle)
+			const sin = Math.sin(angle)
+			const x = Math.sign(cos) * Math.pow(Math.abs(cos), 2 / SQUIRCLE_EXPONENT)
+			const y = Math.sign(sin) * Math.pow(Math.abs(sin), 2 / SQUIRCLE_EXPONENT)
+
+			points.push(round((side / 2) * (1 + x)) + ',' + round((side / 2) * (1 + y)))
+		}
+
+		return new XMLNode('polygon').setAttribute('points', points.join(' '))
+	},
+	hexagon: function (side) {
+		const points = []
+
+		// Pointy-top and regular, as wide as it fits in the height
+		for (let i = 0; i < 6; i++) {
+			const angle = ((i * 60 - 90) * Math.PI) / 180
+
+			points.push(round((side / 2) * (1 + Math.cos(angle))) + ',' + round((side / 2) * (1 + Math.sin(angle))))
+		}
+
+		return new XMLNode('polygon').setAttribute('points', points.join(' '))
+	},
+}
+
+// Fraction of the free space before the tiles, for each alignment of an axis
+const ALIGNMENTS = { Min: 0, Mid: 0.5, Max: 1 }
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>'
+
+const HORIZONTAL_LENGTHS = ['x', 'width', 'cx', 'rx', 'x1', 'x2']
+const VERTICAL_LENGTHS = ['y', 'height', 'cy', 'ry', 'y1', 'y2']
+
+const customGenerators = new Map()
+const meanColors = new WeakMap()
+
 /**
  * Options to override default parameters
  * @typedef {Object} Options
- * @property {string} baseColor - Controls the relative background color of the generated image
- * @property {?string} color - Specify an exact background color. This is a CSS hexadecimal color value.
+ * @property {string} baseColor - Controls the relative background color of the generated image. This is any CSS color, its alpha is ignored.
+ * @property {?string} color - Specify an exact background color. This is any CSS color, its alpha is ignored.
+ * @property {?(boolean|{ duration?: number })} animate - Loops an animation of the shapes, lasting `duration` seconds (8 by default)
+ * @property {?string} background - 'solid' (default), 'linear', 'radial' or 'mesh-like' gradient from the background color to a hue-shifted one
+ * @property {?string} colorSpace - 'hsl' (default) or 'oklch', the space in which the base color and palettes are rotated
  * @property {?string} generator - Determines the pattern
+ * @property {?{ columns?: number, rows?: number, tileSize?: number }} grid - Number of cells of grid-based patterns
+ * @property {?Object<string, number>} params - Pins parameters of the generator, the others are derived from the hash
+ * @property {?(string|string[])} palette - 'analogous', 'complementary', 'triadic' or a list of colors to paint the shapes with
+ * @property {?string} hash - Precomputed hash of at least 28 hexadecimal digits, used instead of hashing the string
+ * @property {?(string|function(string): string)} hashAlgorithm - 'sha1' (default), 'sha256', 'fnv1a' or a function returning hexadecimal digits
+ */
+
+/**
+ * Options of the SVG output, taken by every method converting the pattern to SVG
+ * @typedef {Object} OutputOptions
+ * @property {?(boolean|{ precision?: number })} optimize - Rounds numbers to `precision` decimals (3 by default)
+ * and writes repeated shapes and styles once, for a smaller SVG rendering the same
+ * @property {?(boolean|string)} pretty - Indents nested elements on new lines, with a tab or the given whitespace
+ */
+
+/**
+ * Options of the SVG document output, taken by `toSvg()` and the methods encoding it
+ * @typedef {Object} DocumentOptions
+ * @property {?string} title - Accessible name of the image, added as `<title>` and `aria-label`
+ * @property {?string} description - Accessible description of the image, added as `<desc>`
+ * @property {?boolean} declaration - Starts the document with an XML declaration
+ */
+
+/**
+ * Options of the size of the SVG document, which repeats the tile to fill it
+ * @typedef {Object} CanvasOptions
+ * @property {?number} width - Width of the document in pixels, defaults to the width of the tile
+ * @property {?number} height - Height of the document in pixels, defaults to the height of the tile
+ * @property {?{ x?: number, y?: number }} offset - Moves the tiles by this many pixels
+ * @property {?string} align - Point of the document where a tile is aligned, as in `preserveAspectRatio`: from
+ * 'xMinYMin' (default, the top left corner) to 'xMaxYMax'
+ */
+
+/** @typedef {OutputOptions & DocumentOptions & CanvasOptions} SvgOptions */
+
+/**
+ * Options of avatars
+ * @typedef {Object} AvatarOptions
+ * @property {?number} size - Width and height of the avatar in pixels, 128 by default
+ * @property {?('circle'|'rounded'|'squircle'|'hexagon'|'square')} shape - Shape the tile is clipped to, 'circle' by default
+ * @property {?(boolean|string)} initials - Up to two characters drawn over the pattern, or true to take the first
+ * letters of the first and last words of the seed
+ */
+
+/**
+ * Options of the data URI output
+ * @typedef {SvgOptions & { encoding?: 'base64' | 'url' }} DataUriOptions - `'url'` percent-encodes the SVG,
+ * which is usually shorter than base64
+ */
+
+/**
+ * Drawing methods the generators call, implemented by the SVG builder and by `CanvasRenderer`. Methods
+ * adding a shape or a group return the renderer, `transform()` applies to the last one added.
+ * @typedef {Object} Renderer
+ * @property {(width: number) => void} setWidth - Sets the width of the tile, floored to whole pixels
+ * @property {(height: number) => void} setHeight - Sets the height of the tile, floored to whole pixels
+ * @property {Function} rect - `(x, y, width, height, args)`, or an array of `[x, y, width, height]` and `args`
+ * @property {(cx: number, cy: number, r: number, args?: Object) => Renderer} circle
+ * @property {(d: string, args?: Object) => Renderer} path
+ * @property {(points: string | string[], args?: Object) => Renderer} polyline
+ * @property {(args?: Object) => Renderer} group - Adds the next shapes to a group, until `end()`
+ * @property {() => Renderer} end
+ * @property {(transformations: Object<string, number[]>) => Renderer} transform
+ * @property {(id: string, stops: Object[], args?: Object) => Renderer} linearGradient
+ * @property {(id: string, stops: Object[], args?: Object) => Renderer} radialGradient
+ */
+
+/**
+ * Plain data describing a pattern, safe to store as JSON
+ * @typedef {Object} PatternDescriptor
+ * @property {number} version - Version of the descriptor format
+ * @property {string} hash - Hash the pattern was generated from
+ * @property {string} seed - String given to `generate()`, from which the initials of avatars are taken
+ * @property {string} generator - Name of the generator drawing the shapes
+ * @property {Options} options - Options the pattern was generated with, without functions
+ * @property {string} color - Background color
+ * @property {string[]} palette - Colors the shapes are painted with
+ * @property {Object<string, number>} params - Hash-derived inputs of the generator
+ * @property {Object} svg - SVG tree, elements being `{ tagName, attributes, children }`
  */
 
 /** Creates an SVG Pattern */
@@ -51,21 +303,153 @@ export default class Pattern {
 	 */
 	constructor(string, options) {
 		this.opts = { ...DEFAULTS, ...options }
-		this.hash = options.hash || sha1(string)
+		this.seed = string
+		this.hash = hashString(string, options)
 		this.svg = new SVG()
 
 		this.generateBackground()
-		this.generatePattern()
+		this.generatePalette()
+
+		if (this.opts.animate) {
+			this.generateAnimation()
+		} else {
+			this.generatePattern()
+		}
 
 		return this
 	}
 
+	/**
+	 * Restores a pattern from the descriptor of `toJSON()`, without generating it again
+	 * @param {PatternDescriptor | string} json - Descriptor, or its JSON string
+	 * @returns {Pattern}
+	 * @example
+	 * const pattern = Pattern.fromJSON(await cache.get('github'))
+	 */
+	static fromJSON(json) {
+		const data = typeof json === 'string' ? JSON.parse(json) : json
+		const pattern = Object.create(Pattern.prototype)
+
+		if (!data || typeof data !== 'object') {
+			throw new TypeError('The value is not a pattern descriptor.')
+		}
+
+		Object.keys(JSON_FIELDS).forEach(function (name) {
+			const value = data[name]
+			const valid =
+				JSON_FIELDS[name] === 'array' ? Array.isArray(value) : value !== null && typeof value === JSON_FIELDS[name]
+
+			if (!valid) {
+				throw new TypeError('The pattern descriptor has no valid ' + name + '.')
+			}
+		})
+
+		if (data.version !== JSON_VERSION) {
+			throw new Error('The pattern descriptor version ' + data.version + ' is not supported.')
+		}
+
+		pattern.opts = { ...DEFAULTS, ...data.options }
+		pattern.hash = data.hash
+		pattern.seed = data.seed
+		pattern.generator = data.generator
+		pattern.color = data.color
+		pattern.palette = data.palette.slice()
+		pattern.params = { ...data.params }
+		pattern.svg = new SVG()
+		pattern.svg.svg = XMLNode.fromJSON(data.svg)
+		pattern.restored = true
+
+		return pattern
+	}
+
+	/**
+	 * Describes the pattern as plain data, to store it and restore it with `Pattern.fromJSON()`
+	 * @returns {PatternDescriptor}
+	 */
+	toJSON() {
+		// Functions and undefined options are left out, as a hash function cannot be stored, the hash it computed is
+		const options = JSON.parse(JSON.stringify(this.opts))
+
+		return {
+			version: JSON_VERSION,
+			hash: this.hash,
+			seed: this.seed,
+			generator: this.generator,
+			options: options,
+			color: this.color,
+			palette: this.palette.slice(),
+			params: { ...this.params },
+			svg: this.svg.svg.toJSON(),
+		}
+	}
+
 	/**
 	 * Converts SVG to string
+	 * @param {SvgOptions} [options]
+	 * @returns {string}
+	 */
+	toSvg(options) {
+		return this.serialize(this.documentTree(options), options, '"')
+	}
+
+	/**
+	 * Creates the SVG element of the pattern, without parsing markup
+	 * @param {Document} [document] - Document creating the element, defaults to the one of the browser
+	 * @param {SvgOptions} [options]
+	 * @returns {SVGSVGElement}
+	 * @example
+	 * container.appendChild(GeoPattern.generate('GitHub').toElement())
+	 */
+	toElement(document, options) {
+		const doc = document === undefined ? globalThis.document : document
+		const opts = { ...options }
+
+		if (!doc || typeof doc.createElementNS !== 'function') {
+			throw new TypeError('The document must be a DOM document, there is none outside of the browser.')
+		}
+
+		return this.documentTree(opts).toElement(doc)
+	}
+
+	/**
+	 * Renders the pattern as an avatar, a tile clipped to a shape with initials over it
+	 * @param {AvatarOptions & OutputOptions & DocumentOptions} [options]
+	 * @returns {string}
+	 * @example
+	 * img.src = GeoPattern.generate('Jane Doe').toAvatar({ size: 64, initials: true })
+	 */
+	toAvatar(options) {
+		const opts = { size: AVATAR_SIZE, shape: 'circle', initials: false, ...options }
+
+		return this.serialize(accessibleRoot(this.avatarTree(opts), opts.title, opts.description), opts, '"')
+	}
+
+	/**
+	 * Converts the pattern to a `<pattern>` element, to fill shapes of another SVG with `fill="url(#id)"`
+	 * @param {OutputOptions & { id?: string }} [options]
+	 * @returns {string}
+	 * @example
+	 * const defs = '<defs>' + GeoPattern.generate('GitHub').toPatternElement({ id: 'github' }) + '</defs>'
+	 * chart.innerHTML = defs + '<rect width="400" height="300" fill="url(#github)" />'
+	 */
+	toPatternElement(options) {
+		const opts = { ...options }
+		const id = opts.id === undefined ? elementId(this, 'pattern') : opts.id
+
+		if (typeof id !== 'string' || !/^[A-Za-z_][\w.-]*$/.test(id)) {
+			throw new TypeError('The pattern id ' + id + ' is not a valid id.')
+		}
+
+		return patternElement(this.outputTree(opts), id, 0, 0).toString({ indent: outputIndent(opts.pretty) })
+	}
+
+	/**
+	 * Converts the pattern to a `<defs>` element holding its `<pattern>` element
+	 * @param {OutputOptions & { id?: string }} [options]
 	 * @returns {string}
 	 */
-	toSvg() {
-		return this.svg.toString()
+	toDefs(options) {
+		return '<defs>' + this.toPatternElement(options) + '</defs>'
 	}
 
 	/**
@@ -78,100 +462,638 @@ export default class Pattern {
 
 	/**
 	 * Converts SVG to a base64 encoded string
+	 * @param {SvgOptions} [options]
 	 * @returns {string}
 	 */
-	toBase64() {
-		const str = this.toSvg()
-		let b64
-
-		// Use window.btoa if in the browser; otherwise fallback to node buffers
-		if (typeof window !== 'undefined' && typeof window.btoa === 'function') {
-			b64 = window.btoa(str)
-		} else {
-			b64 = Buffer.from(str).toString('base64')
-		}
-
-		return b64
+	toBase64(options) {
+		return base64(this.toSvg(options))
 	}
 
 	/**
 	 * Converts SVG to a DataURI
+	 * @param {DataUriOptions} [options]
 	 * @returns {string}
 	 */
-	toDataUri() {
-		return 'data:image/svg+xml;base64,' + this.toBase64()
+	toDataUri(options) {
+		const opts = { ...options }
+		const encoding = opts.encoding === undefined ? 'base64' : opts.encoding
+
+		if (encoding === 'url') {
+			// Single quotes are left as they are, where double quotes would be percent-encoded
+			return 'data:image/svg+xml,' + percentEncode(this.serialize(this.documentTree(opts), opts, "'"))
+		}
+
+		if (encoding !== 'base64') {
+			throw new Error('The encoding ' + encoding + ' does not exist.')
+		}
+
+		return 'data:image/svg+xml;base64,' + this.toBase64(opts)
 	}
 
 	/**
 	 * Converts SVG to a CSS dataUrl
+	 * @param {DataUriOptions} [options]
 	 * @returns {string}
 	 * @example
 	 * const pattern = new GeoPattern.generate('')
 	 * document.getElementById('some-id').style.backgroundImage = pattern.toDataUrl()
 	 */
-	toDataUrl() {
-		return 'url("' + this.toDataUri() + '")'
+	toDataUrl(options) {
+		return 'url("' + this.toDataUri(options) + '")'
+	}
+
+	/**
+	 * Renders the pattern as a PNG image, repeating the tile to fill the requested size
+	 * @param {Object} [options]
+	 * @param {number} [options.width] - Width of the image in pixels, defaults to the width of a scaled tile
+	 * @param {number} [options.height] - Height of the image in pixels, defaults to the height of a scaled tile
+	 * @param {number} [options.scale] - Scale of the tile, defaults to 1
+	 * @returns {Uint8Array} PNG file contents
+	 * @example
+	 * fs.writeFileSync('pattern.png', GeoPattern.generate('GitHub').toPng({ width: 1200, height: 630 }))
+	 */
+	toPng(options) {
+		const opts = { ...options }
+
+		;['width', 'height', 'scale'].forEach(function (key) {
+			if (opts[key] !== undefined && !(opts[key] > 0 && isFinite(opts[key]))) {
+				throw new RangeError('The PNG ' + key + ' must be a positive number.')
+			}
+		})
+
+		if (opts.width !== undefined) opts.width = Math.round(opts.width)
+		if (opts.height !== undefined) opts.height = Math.round(opts.height)
+
+		return encodePng(rasterize(this.svg.svg, opts))
+	}
+
+	/**
+	 * Paints the pattern on a canvas, repeating the tile to fill a rectangle, without decoding an image
+	 * @param {CanvasRenderingContext2D} ctx - Context of a canvas, or any object with its drawing methods
+	 * @param {{ x?: number, y?: number, width?: number, height?: number }} [rect] - Area to fill, defaults to a tile at 0, 0
+	 * @returns {Pattern}
+	 * @example
+	 * GeoPattern.generate('GitHub').drawTo(canvas.getContext('2d'), { width: canvas.width, height: canvas.height })
+	 */
+	drawTo(ctx, rect) {
+		const renderer = new CanvasRenderer(ctx)
+
+		// Restored patterns paint the shapes they were stored with, which their generator may no longer draw
+		if (this.restored || generatorNames().indexOf(this.generator) < 0) {
+			renderer.load(this.svg.svg)
+		} else {
+			this.drawWith(renderer)
+		}
+		renderer.paint(rect)
+
+		return this
+	}
+
+	/**
+	 * Draws the background and the shapes of the pattern again with another renderer than the SVG builder.
+	 * Animations are not drawn, the shapes are those of the still pattern.
+	 * @template {Renderer} T
+	 * @param {T} renderer
+	 * @returns {T} The renderer
+	 */
+	drawWith(renderer) {
+		const svg = this.svg
+
+		// Generators draw with this.svg, which stays the SVG builder of the pattern
+		this.svg = renderer
+		try {
+			this.generateBackground()
+			this.generatePattern()
+		} finally {
+			this.svg = svg
+		}
+
+		return renderer
+	}
+
+	/**
+	 * Width of the tile in pixels
+	 * @returns {number}
+	 */
+	get tileWidth() {
+		return Number(this.svg.svg.attributes.width)
+	}
+
+	/**
+	 * Height of the tile in pixels
+	 * @returns {number}
+	 */
+	get tileHeight() {
+		return Number(this.svg.svg.attributes.height)
+	}
+
+	/**
+	 * Black or white, whichever is most readable over the pattern
+	 * @returns {string} Hexadecimal color
+	 * @example
+	 * title.style.color = GeoPattern.generate('GitHub').textColor // => "#ffffff"
+	 */
+	get textColor() {
+		return this.contrast(TEXT_COLOR_DARK) >= this.contrast(TEXT_COLOR_LIGHT) ? TEXT_COLOR_DARK : TEXT_COLOR_LIGHT
+	}
+
+	/**
+	 * Measures the contrast of a text color over the pattern. The pattern counts as its mean color,
+	 * the background seen through the translucent shapes, and a translucent text color is blended over it.
+	 * @param {string} value - Any CSS color
+	 * @param {'wcag' | 'apca'} [algorithm] - 'wcag' (default) for the WCAG 2.x ratio, from 1 to 21,
+	 * or 'apca' for the APCA lightness contrast Lc, negative for light text on a dark pattern
+	 * @returns {number}
+	 */
+	contrast(value, algorithm = 'wcag') {
+		const background = meanColor(this)
+		const text = color.parse(value)
+		const blended = {
+			r: Math.round(text.r * text.a + background.r * (1 - text.a)),
+			g: Math.round(text.g * text.a + background.g * (1 - text.a)),
+			b: Math.round(text.b * text.a + background.b * (1 - text.a)),
+		}
+
+		if (algorithm === 'wcag') {
+			return color.contrastRatio(blended, background)
+		} else if (algorithm === 'apca') {
+			return color.apcaContrast(blended, background)
+		}
+
+		throw new Error('The contrast algorithm ' + algorithm + ' does not exist.')
+	}
+
+	serialize(root, options, quote) {
+		const opts = { ...options }
+		const indent = outputIndent(opts.pretty)
+		const declaration = opts.declaration ? XML_DECLARATION.replace(/"/g, quote) + (indent ? '\n' : '') : ''
+
+		return declaration + root.toString({ indent: indent, quote: quote })
+	}
+
+	// The root of the SVG document, a single tile or a canvas it fills
+	documentTree(options) {
+		const opts = { ...options }
+		let root = this.outputTree(opts)
+
+		if (opts.width !== undefined || opts.height !== undefined) {
+			root = this.canvasTree(root, opts, elementId(this, 'pattern'))
+		}
+
+		return accessibleRoot(root, opts.title, opts.description)
+	}
+
+	// An SVG of the requested size, filled by the tile through a <pattern>
+	canvasTree(root, options, id) {
+		const opts = { offset: { x: 0, y: 0 }, align: 'xMinYMin', ...options }
+		const tileWidth = Number(root.attributes.width)
+		const tileHeight = Number(root.attributes.height)
+		const width = opts.width === undefined ? tileWidth : opts.width
+		const height = opts.height === undefined ? tileHeight : opts.height
+		const align = /^x(Min|Mid|Max)Y(Min|Mid|Max)$/.exec(opts.align)
+		const offset = opts.offset
+		const canvas = new XMLNode('svg')
+
+		;[
+			['width', width],
+			['height', height],
+		].forEach(function ([name, value]) {
+			if (typeof value !== 'number' || !(value > 0 && isFinite(value))) {
+				throw new RangeError('The ' + name + ' must be a positive number.')
+			}
+		})
+
+		if (!align) {
+			throw new Error('The alignment ' + opts.align + ' does not exist.')
+		}
+
+		if (!offset || !isFinite(offset.x || 0) || !isFinite(offset.y || 0)) {
+			throw new TypeError('The offset must be an object of x and y numbers.')
+		}
+
+		// The aligned point of the canvas and of a tile coincide, the offset then moves the tiles
+		const x = ALIGNMENTS[align[1]] * (width - tileWidth) + (offset.x || 0)
+		const y = ALIGNMENTS[align[2]] * (height - tileHeight) + (offset.y || 0)
+
+		this.svg.setAttributes(canvas, { xmlns: root.attributes.xmlns, width: width, height: height })
+		canvas
+			.appendChild(
+				new XMLNode('defs').appendChild(patternElement(root, id, modulo(x, tileWidth), modulo(y, tileHeight)))
+			)
+			.appendChild(new XMLNode('rect'))
+		this.svg.setAttributes(canvas.lastChild, { width: '100%', height: '100%', fill: 'url(#' + id + ')' })
+
+		return canvas
+	}
+
+	// A square of the tile clipped to a shape, scaled from the size of the tile by a viewBox
+	avatarTree(opts) {
+		const root = this.outputTree(opts)
+		const side = Math.min(Number(root.attributes.width), Number(root.attributes.height))
+		const clipId = elementId(this, 'avatar-' + opts.shape)
+		const initials = avatarInitials(opts.initials, this.seed)
+
+		if (typeof opts.size !== 'number' || !(opts.size > 0 && isFinite(opts.size))) {
+			throw new RangeError('The size must be a positive number.')
+		}
+
+		if (!AVATAR_SHAPES.hasOwnProperty(opts.shape)) {
+			throw new Error('The avatar shape ' + opts.shape + ' does not exist.')
+		}
+
+		const avatar = this.canvasTree(root, { width: side, height: side, align: 'xMidYMid' }, elementId(this, 'avatar'))
+		const defs = avatar.children[0]
+		const fill = avatar.children[1]
+		const shape = AVATAR_SHAPES[opts.shape](side)
+		const group = new XMLNode('g')
+
+		this.svg.setAttributes(avatar, { width: opts.size, height: opts.size, viewBox: '0 0 ' + side + ' ' + side })
+
+		if (shape) {
+			defs.appendChild(new XMLNode('clipPath').setAttribute('id', clipId).appendChild(shape))
+			group.setAttribute('clip-path', 'url(#' + clipId + ')')
+		}
+
+		group.appendChild(fill)
+		avatar.children[1] = group
+
+		if (initials) {
+			const text = new XMLNode('text')
+
+			this.svg.setAttributes(text, {
+				x: '50%',
+				y: '50%',
+				'text-anchor': 'middle',
+				'dominant-baseline': 'central',
+				'font-family': AVATAR_FONT_FAMILY,
+				'font-size': round(side * AVATAR_FONT_SIZE),
+				'font-weight': AVATAR_FONT_WEIGHT,
+				fill: this.textColor,
+			})
+			group.appendChild(text.appendText(initials))
+		}
+
+		return avatar
+	}
+
+	// The SVG tree to serialize, the one drawn or its optimized copy
+	outputTree(options) {
+		const opts = { ...options }
+
+		if (!opts.optimize) {
+			return this.svg.svg
+		}
+
+		const precision = opts.optimize === true ? undefined : opts.optimize.precision
+
+		if (precision !== undefined && !(Number.isInteger(precision) && precision >= 0 && precision <= 20)) {
+			throw new RangeError('The precision must be an integer from 0 to 20.')
+		}
+
+		// Ids and classes follow the content, patterns inlined in a document share only identical styles
+		return optimize(this.svg.svg, { precision: precision, prefix: 'gp' + fnv1a(this.svg.toString()).slice(0, 8) })
 	}
 
 	generateBackground() {
+		const colorSpace = this.opts.colorSpace
 		let baseColor, hueOffset, rgb, satOffset
 
+		if (COLOR_SPACES.indexOf(colorSpace) === -1) {
+			throw new Error('The color space ' + colorSpace + ' does not exist.')
+		}
+
+		if (BACKGROUNDS.indexOf(this.opts.background) === -1) {
+			throw new Error('The background ' + this.opts.background + ' does not exist.')
+		}
+
 		if (this.opts.color) {
-			rgb = color.hex2rgb(this.opts.color)
+			rgb = color.parse(this.opts.color)
 		} else {
 			hueOffset = map(hexVal(this.hash, 14, 3), 0, 4095, 0, 359)
 			satOffset = hexVal(this.hash, 17)
-			baseColor = color.rgb2hsl(color.hex2rgb(this.opts.baseColor))
+			baseColor = color.parse(this.opts.baseColor)
+			baseColor = colorSpace === 'oklch' ? color.rgb2oklch(baseColor) : color.rgb2hsl(baseColor)
 
 			baseColor.h = ((baseColor.h * 360 - hueOffset + 360) % 360) / 360
 
-			if (satOffset % 2 === 0) {
-				baseColor.s = Math.min(1, (baseColor.s * 100 + satOffset) / 100)
+			if (colorSpace === 'oklch') {
+				// Lightness is kept, so that every seed is perceived as light as the base color
+				baseColor.c = Math.max(0, baseColor.c + (satOffset % 2 === 0 ? 1 : -1) * satOffset * OKLCH_CHROMA_STEP)
+				rgb = color.oklch2rgb(baseColor)
 			} else {
-				baseColor.s = Math.max(0, (baseColor.s * 100 - satOffset) / 100)
+				if (satOffset % 2 === 0) {
+					baseColor.s = Math.min(1, (baseColor.s * 100 + satOffset) / 100)
+				} else {
+					baseColor.s = Math.max(0, (baseColor.s * 100 - satOffset) / 100)
+				}
+				rgb = color.hsl2rgb(baseColor)
 			}
-			rgb = color.hsl2rgb(baseColor)
 		}
 
 		this.color = color.rgb2hex(rgb)
 
-		this.svg.rect(0, 0, '100%', '100%', {
-			fill: color.rgb2rgbString(rgb),
-		})
+		if (this.opts.background === 'solid') {
+			this.svg.rect(0, 0, '100%', '100%', {
+				fill: color.rgb2rgbString(rgb),
+			})
+		} else {
+			this.generateGradient(rgb)
+		}
+	}
+
+	/**
+	 * Generates the pattern inside a layer that CSS keyframes move or fade. The animation loops
+	 * seamlessly: moving layers travel a whole tile and hold a clipped copy of the pattern next to it,
+	 * pulses only change opacity and shapes repeated across the edges share theirs
+	 */
+	generateAnimation() {
+		const animate = this.opts.animate === true ? {} : this.opts.animate
+		const duration = animate.duration === undefined ? ANIMATION_DURATION : animate.duration
+		const content = elementId(this, 'content')
+		let css
+
+		if (typeof animate !== 'object') {
+			throw new TypeError('The animate option must be a boolean or an object.')
+		}
+		if (!(duration > 0 && isFinite(duration))) {
+			throw new RangeError('The animation duration must be a positive number.')
+		}
+
+		this.svg.group()
+		const layer = this.svg.currentContext()
+		this.svg.group({ id: content })
+		this.generatePattern()
+		this.svg.end()
+
+		const kind = ANIMATIONS[this.generator] || 'pulse'
+		const name = elementId(this, kind)
+		const width = this.svg.svg.attributes.width
+		const height = this.svg.svg.attributes.height
+
+		if (kind === 'drift' || kind === 'scroll') {
+			const clip = elementId(this, 'clip')
+			const offset = kind === 'drift' ? [width, 0] : [0, height]
+
+			layer.children[0].setAttribute('clip-path', 'url(#' + clip + ')')
+			layer.setAttribute('class', name)
+			this.svg.use('#' + content, { x: offset[0], y: offset[1] })
+			this.svg.clipPath(clip).rect(0, 0, width, height).end()
+
+			css =
+				`.${name}{animation:${name} ${duration}s linear infinite}` +
+				`@keyframes ${name}{to{transform:translate(${-offset[0]}px,${-offset[1]}px)}}`
+		} else {
+			wrapPulses(layer, name, duration)
+
+			css =
+				`.${name}{animation:${name} ${duration}s ease-in-out infinite}` +
+				`@keyframes ${name}{50%{opacity:${PULSE_OPACITY}}}`
+		}
+
+		this.svg.end()
+		this.svg.style('@media (prefers-reduced-motion:no-preference){' + css + '}')
+	}
+
+	// Gradients are in bounding box units of full-tile rects, so they do not depend on the size of the tile
+	generateGradient(rgb) {
+		const shiftVal = hexVal(this.hash, 18)
+		const shift = (shiftVal % 2 === 0 ? 1 : -1) * map(shiftVal, 0, 15, GRADIENT_HUE_SHIFT_MIN, GRADIENT_HUE_SHIFT_MAX)
+		const first = color.rgb2rgbString(rgb)
+		const second = color.rgb2rgbString(rotateHue(rgb, shift, this.opts.colorSpace))
+		const id = elementId(this, this.opts.background)
+
+		if (this.opts.background === 'linear') {
+			const [m, n] = GRADIENT_DIRECTIONS[hexVal(this.hash, 19) % GRADIENT_DIRECTIONS.length]
+
+			// Moving by a whole tile along either axis moves by whole periods along the gradient
+			this.svg.linearGradient(
+				id,
+				[
+					{ offset: 0, 'stop-color': first },
+					{ offset: 0.5, 'stop-color': second },
+					{ offset: 1, 'stop-color': first },
+				],
+				{ x1: 0, y1: 0, x2: m / (m * m + n * n), y2: n / (m * m + n * n), spreadMethod: 'repeat' }
+			)
+			this.svg.rect(0, 0, '100%', '100%', { fill: 'url(#' + id + ')' })
+		} else if (this.opts.background === 'radial') {
+			// Centered and reaching the corners, opposite edges get the same colors
+			this.svg.radialGradient(
+				id,
+				[
+					{ offset: 0, 'stop-color': second },
+					{ offset: 1, 'stop-color': first },
+				],
+				{ cx: 0.5, cy: 0.5, r: Math.SQRT1_2 }
+			)
+			this.svg.rect(0, 0, '100%', '100%', { fill: 'url(#' + id + ')' })
+		} else {
+			const blobColors = [second, color.rgb2rgbString(rotateHue(rgb, -shift, this.opts.colorSpace))]
+
+			this.svg.rect(0, 0, '100%', '100%', { fill: first })
+			blobColors.forEach(function (blobColor, i) {
+				this.svg.radialGradient(id + '-' + i, [
+					{ offset: 0, 'stop-color': blobColor },
+					{ offset: 1, 'stop-color': blobColor, 'stop-opacity': 0 },
+				])
+			}, this)
+
+			for (let i = 0; i < MESH_BLOBS; i++) {
+				const x = map(hexVal(this.hash, 19 + i * 3), 0, 15, 0, 100)
+				const y = map(hexVal(this.hash, 20 + i * 3), 0, 15, 0, 100)
+				const size = map(hexVal(this.hash, 21 + i * 3), 0, 15, 60, 90)
+
+				// Blobs crossing an edge are repeated on the opposite one
+				for (let ox = -100; ox <= 100; ox += 100) {
+					for (let oy = -100; oy <= 100; oy += 100) {
+						const left = x - size / 2 + ox
+						const top = y - size / 2 + oy
+
+						if (left < 100 && left + size > 0 && top < 100 && top + size > 0) {
+							this.svg.rect(left + '%', top + '%', size + '%', size + '%', {
+								fill: 'url(#' + id + '-' + (i % blobColors.length) + ')',
+							})
+						}
+					}
+				}
+			}
+		}
+	}
+
+	generatePalette() {
+		const palette = this.opts.palette
+
+		if (palette === undefined || palette === null) {
+			// Even values are light, odd values dark
+			this.palette = [FILL_COLOR_LIGHT, FILL_COLOR_DARK]
+		} else if (Array.isArray(palette)) {
+			if (palette.length === 0) {
+				throw new RangeError('The palette must contain at least one color.')
+			}
+
+			this.palette = palette.map(function (value) {
+				if (typeof value !== 'string') {
+					throw new TypeError('The palette color ' + value + ' is not a valid color.')
+				}
+				return color.rgb2hex(color.parse(value))
+			})
+		} else if (PALETTES.hasOwnProperty(palette)) {
+			const oklch = this.opts.colorSpace === 'oklch'
+			const base = oklch ? color.rgb2oklch(color.hex2rgb(this.color)) : color.rgb2hsl(color.hex2rgb(this.color))
+
+			this.palette = []
+			PALETTES[palette].forEach(function (offset) {
+				const h = (base.h + offset / 360 + 1) % 1
+
+				if (oklch) {
+					this.palette.push(
+						color.rgb2hex(color.oklch2rgb({ l: PALETTE_OKLCH_LIGHTNESS_LIGHT, c: base.c, h: h })),
+						color.rgb2hex(color.oklch2rgb({ l: PALETTE_OKLCH_LIGHTNESS_DARK, c: base.c, h: h }))
+					)
+				} else {
+					this.palette.push(
+						color.rgb2hex(color.hsl2rgb({ h: h, s: base.s, l: PALETTE_LIGHTNESS_LIGHT })),
+						color.rgb2hex(color.hsl2rgb({ h: h, s: base.s, l: PALETTE_LIGHTNESS_DARK }))
+					)
+				}
+			}, this)
+		} else {
+			throw new Error('The palette ' + palette + ' does not exist.')
+		}
 	}
 
 	generatePattern() {
-		let generator = this.opts.generator
+		const names = generatorNames()
+		// Patterns drawn again keep their generator, even if the hash would now pick another one
+		let generator = this.generator || this.opts.generator
 
 		if (generator) {
-			if (PATTERNS.indexOf(generator) < 0) {
+			if (names.indexOf(generator) < 0) {
 				throw new Error('The generator ' + generator + ' does not exist.')
 			}
 		} else {
-			generator = PATTERNS[hexVal(this.hash, 20)]
+			generator = selectGenerator(
+				this.hash,
+				names.filter(function (name) {
+					return NAMED_ONLY_PATTERNS.indexOf(name) < 0
+				})
+			)
 		}
 
-		return this['geo' + generator.slice(0, 1).toUpperCase() + generator.slice(1)]()
+		this.generator = generator
+
+		if (customGenerators.has(generator)) {
+			const palette = this.palette
+			const params = customGenerators.get(generator)(this.svg, this.hash, {
+				hexVal: hexVal,
+				map: map,
+				fillColor: function (val) {
+					return fillColor(val, palette)
+				},
+				fillOpacity: fillOpacity,
+				// Custom generators validate their own parameters
+				params: { ...this.opts.params },
+			})
+
+			// Custom generators may return their parameters too
+			this.params = params !== null && typeof params === 'object' ? { ...params } : {}
+			return
+		}
+
+		this.validateParams()
+		this.params = this['geo' + generator.slice(0, 1).toUpperCase() + generator.slice(1)]()
+	}
+
+	validateParams() {
+		const params = this.opts.params
+		const ranges = GENERATOR_PARAMS[this.generator]
+
+		if (params === undefined || params === null) {
+			return
+		}
+
+		if (typeof params !== 'object') {
+			throw new TypeError('options.params must be an object.')
+		}
+
+		Object.keys(params).forEach(function (name) {
+			const value = params[name]
+
+			if (!ranges.hasOwnProperty(name)) {
+				throw new Error('The parameter ' + name + ' does not exist for the generator ' + this.generator + '.')
+			}
+
+			if (typeof value !== 'number' || !(value >= ranges[name][0] && value <= ranges[name][1])) {
+				throw new RangeError(
+					'The parameter ' + name + ' must be a number from ' + ranges[name][0] + ' to ' + ranges[name][1] + '.'
+				)
+			}
+		}, this)
+	}
+
+	/**
+	 * Parameter of the built-in generator, pinned by `options.params` or mapped from a hash digit to its range
+	 * @param {string} name
+	 * @param {number} val - Hash digit, from 0 to 15
+	 * @returns {number}
+	 */
+	param(name, val) {
+		const params = this.opts.params
+
+		if (params && params[name] !== undefined) {
+			return params[name]
+		}
+
+		return map(val, 0, 15, GENERATOR_PARAMS[this.generator][name][0], GENERATOR_PARAMS[this.generator][name][1])
+	}
+
+	/**
+	 * Number of cells of the grid-based generators, from `options.grid`
+	 * @param {Object} cell
+	 * @param {number} cell.cellWidth - Horizontal distance between two cells
+	 * @param {number} cell.cellHeight - Vertical distance between two cells
+	 * @param {number} [cell.columnStep] - Columns must be a multiple of it for the pattern to tile
+	 * @param {number} [cell.rowStep] - Rows must be a multiple of it for the pattern to tile
+	 * @param {number} [cell.size] - Default number of columns and rows
+	 * @returns {{ columns: number, rows: number }}
+	 */
+	gridSize(cell) {
+		const grid = this.opts.grid || {}
+		const size = cell.size || 6
+
+		if (typeof grid !== 'object') {
+			throw new TypeError('options.grid must be an object.')
+		}
+
+		if (grid.tileSize !== undefined && !(grid.tileSize > 0 && isFinite(grid.tileSize))) {
+			throw new RangeError('options.grid.tileSize must be a positive number.')
+		}
+
+		return {
+			columns: gridCount(grid.columns, grid.tileSize, cell.cellWidth, cell.columnStep || 1, size, 'columns'),
+			rows: gridCount(grid.rows, grid.tileSize, cell.cellHeight, cell.rowStep || 1, size, 'rows'),
+		}
 	}
 
 	geoHexagons() {
 		const scale = hexVal(this.hash, 0)
-		const sideLength = map(scale, 0, 15, 8, 60)
+		const sideLength = this.param('sideLength', scale)
 		const hexHeight = sideLength * Math.sqrt(3)
 		const hexWidth = sideLength * 2
 		const hex = buildHexagonShape(sideLength)
+		const { columns, rows } = this.gridSize({ cellWidth: sideLength * 1.5, cellHeight: hexHeight, columnStep: 2 })
 		let dy, fill, i, opacity, styles, val, x, y
 
-		this.svg.setWidth(hexWidth * 3 + sideLength * 3)
-		this.svg.setHeight(hexHeight * 6)
+		this.svg.setWidth(hexWidth * (columns / 2) + sideLength * (columns / 2))
+		this.svg.setHeight(hexHeight * rows)
 
 		i = 0
-		for (y = 0; y < 6; y++) {
-			for (x = 0; x < 6; x++) {
+		for (y = 0; y < rows; y++) {
+			for (x = 0; x < columns; x++) {
 				val = hexVal(this.hash, i)
 				dy = x % 2 === 0 ? y * hexHeight : y * hexHeight + hexHeight / 2
 				opacity = fillOpacity(val)
-				fill = fillColor(val)
+				fill = fillColor(val, this.palette)
 
 				styles = {
 					fill: fill,
@@ -187,13 +1109,13 @@ export default class Pattern {
 				// Add an extra one at top-right, for tiling.
 				if (x === 0) {
 					this.svg.polyline(hex, styles).transform({
-						translate: [6 * sideLength * 1.5 - hexWidth / 2, dy - hexHeight / 2],
+						translate: [columns * sideLength * 1.5 - hexWidth / 2, dy - hexHeight / 2],
 					})
 				}
 
 				// Add an extra row at the end that matches the first row, for tiling.
 				if (y === 0) {
-					dy = x % 2 === 0 ? 6 * hexHeight : 6 * hexHeight + hexHeight / 2
+					dy = x % 2 === 0 ? rows * hexHeight : rows * hexHeight + hexHeight / 2
 					this.svg.polyline(hex, styles).transform({
 						translate: [x * sideLength * 1.5 - hexWidth / 2, dy - hexHeight / 2],
 					})
@@ -202,19 +1124,21 @@ export default class Pattern {
 				// Add an extra one at bottom-right, for tiling.
 				if (x === 0 && y === 0) {
 					this.svg.polyline(hex, styles).transform({
-						translate: [6 * sideLength * 1.5 - hexWidth / 2, 5 * hexHeight + hexHeight / 2],
+						translate: [columns * sideLength * 1.5 - hexWidth / 2, (rows - 1) * hexHeight + hexHeight / 2],
 					})
 				}
 
 				i++
 			}
 		}
+
+		return { sideLength: sideLength }
 	}
 
 	geoSineWaves() {
-		const period = Math.floor(map(hexVal(this.hash, 0), 0, 15, 100, 400))
-		const amplitude = Math.floor(map(hexVal(this.hash, 1), 0, 15, 30, 100))
-		const waveWidth = Math.floor(map(hexVal(this.hash, 2), 0, 15, 3, 30))
+		const period = Math.floor(this.param('period', hexVal(this.hash, 0)))
+		const amplitude = Math.floor(this.param('amplitude', hexVal(this.hash, 1)))
+		const waveWidth = Math.floor(this.param('waveWidth', hexVal(this.hash, 2)))
 		let fill, i, opacity, str, styles, val, xOffset
 
 		this.svg.setWidth(period)
@@ -223,7 +1147,7 @@ export default class Pattern {
 		for (i = 0; i < 36; i++) {
 			val = hexVal(this.hash, i)
 			opacity = fillOpacity(val)
-			fill = fillColor(val)
+			fill = fillColor(val, this.palette)
 			xOffset = (period / 4) * 0.7
 
 			styles = {
@@ -265,24 +1189,34 @@ export default class Pattern {
 			this.svg.path(str, styles).transform({
 				translate: [-period / 4, waveWidth * i - amplitude * 1.5 + waveWidth * 36],
 			})
+
+			// Waves hanging off the bottom are continued at the top, for tiling
+			if (waveWidth * i + amplitude / 2 + waveWidth / 2 > waveWidth * 36) {
+				this.svg.path(str, styles).transform({
+					translate: [-period / 4, waveWidth * i - amplitude * 1.5 - waveWidth * 36],
+				})
+			}
 		}
+
+		return { period: period, amplitude: amplitude, waveWidth: waveWidth }
 	}
 
 	geoChevrons() {
-		const chevronWidth = map(hexVal(this.hash, 0), 0, 15, 30, 80)
-		const chevronHeight = map(hexVal(this.hash, 0), 0, 15, 30, 80)
+		const chevronWidth = this.param('chevronWidth', hexVal(this.hash, 0))
+		const chevronHeight = this.param('chevronHeight', hexVal(this.hash, 0))
 		const chevron = buildChevronShape(chevronWidth, chevronHeight)
+		const { columns, rows } = this.gridSize({ cellWidth: chevronWidth, cellHeight: chevronHeight * 0.66 })
 		let fill, i, opacity, styles, val, x, y
 
-		this.svg.setWidth(chevronWidth * 6)
-		this.svg.setHeight(chevronHeight * 6 * 0.66)
+		this.svg.setWidth(chevronWidth * columns)
+		this.svg.setHeight(chevronHeight * rows * 0.66)
 
 		i = 0
-		for (y = 0; y < 6; y++) {
-			for (x = 0; x < 6; x++) {
+		for (y = 0; y < rows; y++) {
+			for (x = 0; x < columns; x++) {
 				val = hexVal(this.hash, i)
 				opacity = fillOpacity(val)
-				fill = fillColor(val)
+				fill = fillColor(val, this.palette)
 
 				styles = {
 					stroke: STROKE_COLOR,
@@ -305,7 +1239,7 @@ export default class Pattern {
 					this.svg
 						.group(styles)
 						.transform({
-							translate: [x * chevronWidth, 6 * chevronHeight * 0.66 - chevronHeight / 2],
+							translate: [x * chevronWidth, rows * chevronHeight * 0.66 - chevronHeight / 2],
 						})
 						.polyline(chevron)
 						.end()
@@ -314,23 +1248,26 @@ export default class Pattern {
 				i += 1
 			}
 		}
+
+		return { chevronWidth: chevronWidth, chevronHeight: chevronHeight }
 	}
 
 	geoPlusSigns() {
-		const squareSize = map(hexVal(this.hash, 0), 0, 15, 10, 25)
+		const squareSize = this.param('squareSize', hexVal(this.hash, 0))
 		const plusSize = squareSize * 3
 		const plusShape = buildPlusShape(squareSize)
+		const { columns, rows } = this.gridSize({ cellWidth: squareSize * 2, cellHeight: squareSize * 2, rowStep: 2 })
 		let dx, fill, i, opacity, styles, val, x, y
 
-		this.svg.setWidth(squareSize * 12)
-		this.svg.setHeight(squareSize * 12)
+		this.svg.setWidth(squareSize * columns * 2)
+		this.svg.setHeight(squareSize * rows * 2)
 
 		i = 0
-		for (y = 0; y < 6; y++) {
-			for (x = 0; x < 6; x++) {
+		for (y = 0; y < rows; y++) {
+			for (x = 0; x < columns; x++) {
 				val = hexVal(this.hash, i)
 				opacity = fillOpacity(val)
-				fill = fillColor(val)
+				fill = fillColor(val, this.palette)
 				dx = y % 2 === 0 ? 0 : 1
 
 				styles = {
@@ -352,12 +1289,26 @@ export default class Pattern {
 					.end()
 
 				// Add an extra column on the right for tiling.
-				if (x === 0) {
+				if (x === 0 && dx === 0) {
+					this.svg
+						.group(styles)
+						.transform({
+							translate: [
+								columns * 2 * squareSize - x * squareSize + dx * squareSize - squareSize,
+								y * plusSize - y * squareSize - plusSize / 2,
+							],
+						})
+						.rect(plusShape)
+						.end()
+				}
+
+				// Shifted rows hang off the right instead, so put a column on the left for tiling.
+				if (x === columns - 1 && dx === 1) {
 					this.svg
 						.group(styles)
 						.transform({
 							translate: [
-								4 * plusSize - x * squareSize + dx * squareSize - squareSize,
+								x * plusSize - x * squareSize + dx * squareSize - squareSize - columns * 2 * squareSize,
 								y * plusSize - y * squareSize - plusSize / 2,
 							],
 						})
@@ -372,7 +1323,7 @@ export default class Pattern {
 						.transform({
 							translate: [
 								x * plusSize - x * squareSize + dx * squareSize - squareSize,
-								4 * plusSize - y * squareSize - plusSize / 2,
+								rows * 2 * squareSize - y * squareSize - plusSize / 2,
 							],
 						})
 						.rect(plusShape)
@@ -385,8 +1336,8 @@ export default class Pattern {
 						.group(styles)
 						.transform({
 							translate: [
-								4 * plusSize - x * squareSize + dx * squareSize - squareSize,
-								4 * plusSize - y * squareSize - plusSize / 2,
+								columns * 2 * squareSize - x * squareSize + dx * squareSize - squareSize,
+								rows * 2 * squareSize - y * squareSize - plusSize / 2,
 							],
 						})
 						.rect(plusShape)
@@ -396,24 +1347,27 @@ export default class Pattern {
 				i++
 			}
 		}
+
+		return { squareSize: squareSize }
 	}
 
 	geoXes() {
-		const squareSize = map(hexVal(this.hash, 0), 0, 15, 10, 25)
+		const squareSize = this.param('squareSize', hexVal(this.hash, 0))
 		const xShape = buildPlusShape(squareSize)
 		const xSize = squareSize * 3 * 0.943
+		const { columns, rows } = this.gridSize({ cellWidth: xSize / 2, cellHeight: xSize / 2, columnStep: 2 })
 		let dy, fill, i, opacity, styles, val, x, y
 
-		this.svg.setWidth(xSize * 3)
-		this.svg.setHeight(xSize * 3)
+		this.svg.setWidth((xSize * columns) / 2)
+		this.svg.setHeight((xSize * rows) / 2)
 
 		i = 0
-		for (y = 0; y < 6; y++) {
-			for (x = 0; x < 6; x++) {
+		for (y = 0; y < rows; y++) {
+			for (x = 0; x < columns; x++) {
 				val = hexVal(this.hash, i)
 				opacity = fillOpacity(val)
 				dy = x % 2 === 0 ? y * xSize - xSize * 0.5 : y * xSize - xSize * 0.5 + xSize / 4
-				fill = fillColor(val)
+				fill = fillColor(val, this.palette)
 
 				styles = {
 					fill: fill,
@@ -434,7 +1388,7 @@ export default class Pattern {
 					this.svg
 						.group(styles)
 						.transform({
-							translate: [(6 * xSize) / 2 - xSize / 2, dy - (y * xSize) / 2],
+							translate: [(columns * xSize) / 2 - xSize / 2, dy - (y * xSize) / 2],
 							rotate: [45, xSize / 2, xSize / 2],
 						})
 						.rect(xShape)
@@ -443,11 +1397,11 @@ export default class Pattern {
 
 				// // Add an extra row on the bottom that matches the first row, for tiling.
 				if (y === 0) {
-					dy = x % 2 === 0 ? 6 * xSize - xSize / 2 : 6 * xSize - xSize / 2 + xSize / 4
+					dy = x % 2 === 0 ? rows * xSize - xSize / 2 : rows * xSize - xSize / 2 + xSize / 4
 					this.svg
 						.group(styles)
 						.transform({
-							translate: [(x * xSize) / 2 - xSize / 2, dy - (6 * xSize) / 2],
+							translate: [(x * xSize) / 2 - xSize / 2, dy - (rows * xSize) / 2],
 							rotate: [45, xSize / 2, xSize / 2],
 						})
 						.rect(xShape)
@@ -455,11 +1409,11 @@ export default class Pattern {
 				}
 
 				// These can hang off the bottom, so put a row at the top for tiling.
-				if (y === 5) {
+				if (y === rows - 1) {
 					this.svg
 						.group(styles)
 						.transform({
-							translate: [(x * xSize) / 2 - xSize / 2, dy - (11 * xSize) / 2],
+							translate: [(x * xSize) / 2 - xSize / 2, dy - ((2 * rows - 1) * xSize) / 2],
 							rotate: [45, xSize / 2, xSize / 2],
 						})
 						.rect(xShape)
@@ -471,7 +1425,19 @@ export default class Pattern {
 					this.svg
 						.group(styles)
 						.transform({
-							translate: [(6 * xSize) / 2 - xSize / 2, dy - (6 * xSize) / 2],
+							translate: [(columns * xSize) / 2 - xSize / 2, dy - (rows * xSize) / 2],
+							rotate: [45, xSize / 2, xSize / 2],
+						})
+						.rect(xShape)
+						.end()
+				}
+
+				// And at top-right for the one hanging off the bottom-left
+				if (x === 0 && y === rows - 1) {
+					this.svg
+						.group(styles)
+						.transform({
+							translate: [(columns * xSize) / 2 - xSize / 2, dy - ((2 * rows - 1) * xSize) / 2],
 							rotate: [45, xSize / 2, xSize / 2],
 						})
 						.rect(xShape)
@@ -480,23 +1446,26 @@ export default class Pattern {
 				i++
 			}
 		}
+
+		return { squareSize: squareSize }
 	}
 
 	geoOverlappingCircles() {
 		const scale = hexVal(this.hash, 0)
-		const diameter = map(scale, 0, 15, 25, 200)
+		const diameter = this.param('diameter', scale)
 		const radius = diameter / 2
+		const { columns, rows } = this.gridSize({ cellWidth: radius, cellHeight: radius })
 		let fill, i, opacity, styles, val, x, y
 
-		this.svg.setWidth(radius * 6)
-		this.svg.setHeight(radius * 6)
+		this.svg.setWidth(radius * columns)
+		this.svg.setHeight(radius * rows)
 
 		i = 0
-		for (y = 0; y < 6; y++) {
-			for (x = 0; x < 6; x++) {
+		for (y = 0; y < rows; y++) {
+			for (x = 0; x < columns; x++) {
 				val = hexVal(this.hash, i)
 				opacity = fillOpacity(val)
-				fill = fillColor(val)
+				fill = fillColor(val, this.palette)
 
 				styles = {
 					fill: fill,
@@ -507,38 +1476,41 @@ export default class Pattern {
 
 				// Add an extra one at top-right, for tiling.
 				if (x === 0) {
-					this.svg.circle(6 * radius, y * radius, radius, styles)
+					this.svg.circle(columns * radius, y * radius, radius, styles)
 				}
 
 				// // Add an extra row at the end that matches the first row, for tiling.
 				if (y === 0) {
-					this.svg.circle(x * radius, 6 * radius, radius, styles)
+					this.svg.circle(x * radius, rows * radius, radius, styles)
 				}
 
 				// // Add an extra one at bottom-right, for tiling.
 				if (x === 0 && y === 0) {
-					this.svg.circle(6 * radius, 6 * radius, radius, styles)
+					this.svg.circle(columns * radius, rows * radius, radius, styles)
 				}
 
 				i++
 			}
 		}
+
+		return { diameter: diameter }
 	}
 
 	geoOctogons() {
-		const squareSize = map(hexVal(this.hash, 0), 0, 15, 10, 60)
+		const squareSize = this.param('squareSize', hexVal(this.hash, 0))
 		const tile = buildOctogonShape(squareSize)
+		const { columns, rows } = this.gridSize({ cellWidth: squareSize, cellHeight: squareSize })
 		let fill, i, opacity, val, x, y
 
-		this.svg.setWidth(squareSize * 6)
-		this.svg.setHeight(squareSize * 6)
+		this.svg.setWidth(squareSize * columns)
+		this.svg.setHeight(squareSize * rows)
 
 		i = 0
-		for (y = 0; y < 6; y++) {
-			for (x = 0; x < 6; x++) {
+		for (y = 0; y < rows; y++) {
+			for (x = 0; x < columns; x++) {
 				val = hexVal(this.hash, i)
 				opacity = fillOpacity(val)
-				fill = fillColor(val)
+				fill = fillColor(val, this.palette)
 
 				this.svg
 					.polyline(tile, {
@@ -554,21 +1526,24 @@ export default class Pattern {
 				i += 1
 			}
 		}
+
+		return { squareSize: squareSize }
 	}
 
 	geoSquares() {
-		const squareSize = map(hexVal(this.hash, 0), 0, 15, 10, 60)
+		const squareSize = this.param('squareSize', hexVal(this.hash, 0))
+		const { columns, rows } = this.gridSize({ cellWidth: squareSize, cellHeight: squareSize })
 		let fill, i, opacity, val, x, y
 
-		this.svg.setWidth(squareSize * 6)
-		this.svg.setHeight(squareSize * 6)
+		this.svg.setWidth(squareSize * columns)
+		this.svg.setHeight(squareSize * rows)
 
 		i = 0
-		for (y = 0; y < 6; y++) {
-			for (x = 0; x < 6; x++) {
+		for (y = 0; y < rows; y++) {
+			for (x = 0; x < columns; x++) {
 				val = hexVal(this.hash, i)
 				opacity = fillOpacity(val)
-				fill = fillColor(val)
+				fill = fillColor(val, this.palette)
 
 				this.svg.rect(x * squareSize, y * squareSize, squareSize, squareSize, {
 					fill: fill,
@@ -580,23 +1555,26 @@ export default class Pattern {
 				i += 1
 			}
 		}
+
+		return { squareSize: squareSize }
 	}
 
 	geoConcentricCircles() {
 		const scale = hexVal(this.hash, 0)
-		const ringSize = map(scale, 0, 15, 10, 60)
+		const ringSize = this.param('ringSize', scale)
 		const strokeWidth = ringSize / 5
+		const { columns, rows } = this.gridSize({ cellWidth: ringSize + strokeWidth, cellHeight: ringSize + strokeWidth })
 		let fill, i, opacity, val, x, y
 
-		this.svg.setWidth((ringSize + strokeWidth) * 6)
-		this.svg.setHeight((ringSize + strokeWidth) * 6)
+		this.svg.setWidth((ringSize + strokeWidth) * columns)
+		this.svg.setHeight((ringSize + strokeWidth) * rows)
 
 		i = 0
-		for (y = 0; y < 6; y++) {
-			for (x = 0; x < 6; x++) {
+		for (y = 0; y < rows; y++) {
+			for (x = 0; x < columns; x++) {
 				val = hexVal(this.hash, i)
 				opacity = fillOpacity(val)
-				fill = fillColor(val)
+				fill = fillColor(val, this.palette)
 
 				this.svg.circle(
 					x * ringSize + x * strokeWidth + (ringSize + strokeWidth) / 2,
@@ -610,9 +1588,9 @@ export default class Pattern {
 					}
 				)
 
-				val = hexVal(this.hash, 39 - i)
+				val = hexVal(this.hash, columns * rows + 3 - i)
 				opacity = fillOpacity(val)
-				fill = fillColor(val)
+				fill = fillColor(val, this.palette)
 
 				this.svg.circle(
 					x * ringSize + x * strokeWidth + (ringSize + strokeWidth) / 2,
@@ -627,23 +1605,26 @@ export default class Pattern {
 				i += 1
 			}
 		}
+
+		return { ringSize: ringSize }
 	}
 
 	geoOverlappingRings() {
 		const scale = hexVal(this.hash, 0)
-		const ringSize = map(scale, 0, 15, 10, 60)
+		const ringSize = this.param('ringSize', scale)
 		const strokeWidth = ringSize / 4
+		const { columns, rows } = this.gridSize({ cellWidth: ringSize, cellHeight: ringSize })
 		let fill, i, opacity, styles, val, x, y
 
-		this.svg.setWidth(ringSize * 6)
-		this.svg.setHeight(ringSize * 6)
+		this.svg.setWidth(ringSize * columns)
+		this.svg.setHeight(ringSize * rows)
 
 		i = 0
-		for (y = 0; y < 6; y++) {
-			for (x = 0; x < 6; x++) {
+		for (y = 0; y < rows; y++) {
+			for (x = 0; x < columns; x++) {
 				val = hexVal(this.hash, i)
 				opacity = fillOpacity(val)
-				fill = fillColor(val)
+				fill = fillColor(val, this.palette)
 
 				styles = {
 					fill: 'none',
@@ -656,38 +1637,46 @@ export default class Pattern {
 
 				// Add an extra one at top-right, for tiling.
 				if (x === 0) {
-					this.svg.circle(6 * ringSize, y * ringSize, ringSize - strokeWidth / 2, styles)
+					this.svg.circle(columns * ringSize, y * ringSize, ringSize - strokeWidth / 2, styles)
 				}
 
 				if (y === 0) {
-					this.svg.circle(x * ringSize, 6 * ringSize, ringSize - strokeWidth / 2, styles)
+					this.svg.circle(x * ringSize, rows * ringSize, ringSize - strokeWidth / 2, styles)
 				}
 
 				if (x === 0 && y === 0) {
-					this.svg.circle(6 * ringSize, 6 * ringSize, ringSize - strokeWidth / 2, styles)
+					this.svg.circle(columns * ringSize, rows * ringSize, ringSize - strokeWidth / 2, styles)
 				}
 
 				i += 1
 			}
 		}
+
+		return { ringSize: ringSize }
 	}
 
 	geoTriangles() {
 		const scale = hexVal(this.hash, 0)
-		const sideLength = map(scale, 0, 15, 15, 80)
+		const sideLength = this.param('sideLength', scale)
 		const triangleHeight = (sideLength / 2) * Math.sqrt(3)
 		const triangle = buildTriangleShape(sideLength, triangleHeight)
+		const { columns, rows } = this.gridSize({
+			cellWidth: sideLength / 2,
+			cellHeight: triangleHeight,
+			columnStep: 2,
+			rowStep: 2,
+		})
 		let fill, i, opacity, rotation, styles, val, x, y
 
-		this.svg.setWidth(sideLength * 3)
-		this.svg.setHeight(triangleHeight * 6)
+		this.svg.setWidth((sideLength * columns) / 2)
+		this.svg.setHeight(triangleHeight * rows)
 
 		i = 0
-		for (y = 0; y < 6; y++) {
-			for (x = 0; x < 6; x++) {
+		for (y = 0; y < rows; y++) {
+			for (x = 0; x < columns; x++) {
 				val = hexVal(this.hash, i)
 				opacity = fillOpacity(val)
-				fill = fillColor(val)
+				fill = fillColor(val, this.palette)
 
 				styles = {
 					fill: fill,
@@ -710,7 +1699,7 @@ export default class Pattern {
 				// Add an extra one at top-right, for tiling.
 				if (x === 0) {
 					this.svg.polyline(triangle, styles).transform({
-						translate: [6 * sideLength * 0.5 - sideLength / 2, triangleHeight * y],
+						translate: [columns * sideLength * 0.5 - sideLength / 2, triangleHeight * y],
 						rotate: [rotation, sideLength / 2, triangleHeight / 2],
 					})
 				}
@@ -718,23 +1707,26 @@ export default class Pattern {
 				i += 1
 			}
 		}
+
+		return { sideLength: sideLength }
 	}
 
 	geoDiamonds() {
-		const diamondWidth = map(hexVal(this.hash, 0), 0, 15, 10, 50)
-		const diamondHeight = map(hexVal(this.hash, 1), 0, 15, 10, 50)
+		const diamondWidth = this.param('diamondWidth', hexVal(this.hash, 0))
+		const diamondHeight = this.param('diamondHeight', hexVal(this.hash, 1))
 		const diamond = buildDiamondShape(diamondWidth, diamondHeight)
+		const { columns, rows } = this.gridSize({ cellWidth: diamondWidth, cellHeight: diamondHeight / 2, rowStep: 2 })
 		let dx, fill, i, opacity, styles, val, x, y
 
-		this.svg.setWidth(diamondWidth * 6)
-		this.svg.setHeight(diamondHeight * 3)
+		this.svg.setWidth(diamondWidth * columns)
+		this.svg.setHeight((diamondHeight * rows) / 2)
 
 		i = 0
-		for (y = 0; y < 6; y++) {
-			for (x = 0; x < 6; x++) {
+		for (y = 0; y < rows; y++) {
+			for (x = 0; x < columns; x++) {
 				val = hexVal(this.hash, i)
 				opacity = fillOpacity(val)
-				fill = fillColor(val)
+				fill = fillColor(val, this.palette)
 
 				styles = {
 					fill: fill,
@@ -752,43 +1744,49 @@ export default class Pattern {
 				// Add an extra one at top-right, for tiling.
 				if (x === 0) {
 					this.svg.polyline(diamond, styles).transform({
-						translate: [6 * diamondWidth - diamondWidth / 2 + dx, (diamondHeight / 2) * y - diamondHeight / 2],
+						translate: [columns * diamondWidth - diamondWidth / 2 + dx, (diamondHeight / 2) * y - diamondHeight / 2],
 					})
 				}
 
 				// Add an extra row at the end that matches the first row, for tiling.
 				if (y === 0) {
 					this.svg.polyline(diamond, styles).transform({
-						translate: [x * diamondWidth - diamondWidth / 2 + dx, (diamondHeight / 2) * 6 - diamondHeight / 2],
+						translate: [x * diamondWidth - diamondWidth / 2 + dx, (diamondHeight / 2) * rows - diamondHeight / 2],
 					})
 				}
 
 				// Add an extra one at bottom-right, for tiling.
 				if (x === 0 && y === 0) {
 					this.svg.polyline(diamond, styles).transform({
-						translate: [6 * diamondWidth - diamondWidth / 2 + dx, (diamondHeight / 2) * 6 - diamondHeight / 2],
+						translate: [columns * diamondWidth - diamondWidth / 2 + dx, (diamondHeight / 2) * rows - diamondHeight / 2],
 					})
 				}
 
 				i += 1
 			}
 		}
+
+		return { diamondWidth: diamondWidth, diamondHeight: diamondHeight }
 	}
 
 	geoNestedSquares() {
-		const blockSize = map(hexVal(this.hash, 0), 0, 15, 4, 12)
+		const blockSize = this.param('blockSize', hexVal(this.hash, 0))
 		const squareSize = blockSize * 7
+		const { columns, rows } = this.gridSize({
+			cellWidth: squareSize + blockSize * 2,
+			cellHeight: squareSize + blockSize * 2,
+		})
 		let fill, i, opacity, styles, val, x, y
 
-		this.svg.setWidth((squareSize + blockSize) * 6 + blockSize * 6)
-		this.svg.setHeight((squareSize + blockSize) * 6 + blockSize * 6)
+		this.svg.setWidth((squareSize + blockSize) * columns + blockSize * columns)
+		this.svg.setHeight((squareSize + blockSize) * rows + blockSize * rows)
 
 		i = 0
-		for (y = 0; y < 6; y++) {
-			for (x = 0; x < 6; x++) {
+		for (y = 0; y < rows; y++) {
+			for (x = 0; x < columns; x++) {
 				val = hexVal(this.hash, i)
 				opacity = fillOpacity(val)
-				fill = fillColor(val)
+				fill = fillColor(val, this.palette)
 
 				styles = {
 					fill: 'none',
@@ -805,9 +1803,9 @@ export default class Pattern {
 					styles
 				)
 
-				val = hexVal(this.hash, 39 - i)
+				val = hexVal(this.hash, columns * rows + 3 - i)
 				opacity = fillOpacity(val)
-				fill = fillColor(val)
+				fill = fillColor(val, this.palette)
 
 				styles = {
 					fill: 'none',
@@ -827,18 +1825,27 @@ export default class Pattern {
 				i += 1
 			}
 		}
+
+		return { blockSize: blockSize }
 	}
 
 	geoMosaicSquares() {
-		const triangleSize = map(hexVal(this.hash, 0), 0, 15, 15, 50)
+		const triangleSize = this.param('triangleSize', hexVal(this.hash, 0))
+		const { columns, rows } = this.gridSize({
+			cellWidth: triangleSize * 2,
+			cellHeight: triangleSize * 2,
+			columnStep: 2,
+			rowStep: 2,
+			size: 4,
+		})
 		let i, x, y
 
-		this.svg.setWidth(triangleSize * 8)
-		this.svg.setHeight(triangleSize * 8)
+		this.svg.setWidth(triangleSize * 2 * columns)
+		this.svg.setHeight(triangleSize * 2 * rows)
 
 		i = 0
-		for (y = 0; y < 4; y++) {
-			for (x = 0; x < 4; x++) {
+		for (y = 0; y < rows; y++) {
+			for (x = 0; x < columns; x++) {
 				if (x % 2 === 0) {
 					if (y % 2 === 0) {
 						drawOuterMosaicTile(
@@ -846,27 +1853,37 @@ export default class Pattern {
 							x * triangleSize * 2,
 							y * triangleSize * 2,
 							triangleSize,
-							hexVal(this.hash, i)
+							hexVal(this.hash, i),
+							this.palette
 						)
 					} else {
-						drawInnerMosaicTile(this.svg, x * triangleSize * 2, y * triangleSize * 2, triangleSize, [
-							hexVal(this.hash, i),
-							hexVal(this.hash, i + 1),
-						])
+						drawInnerMosaicTile(
+							this.svg,
+							x * triangleSize * 2,
+							y * triangleSize * 2,
+							triangleSize,
+							[hexVal(this.hash, i), hexVal(this.hash, i + 1)],
+							this.palette
+						)
 					}
 				} else {
 					if (y % 2 === 0) {
-						drawInnerMosaicTile(this.svg, x * triangleSize * 2, y * triangleSize * 2, triangleSize, [
-							hexVal(this.hash, i),
-							hexVal(this.hash, i + 1),
-						])
+						drawInnerMosaicTile(
+							this.svg,
+							x * triangleSize * 2,
+							y * triangleSize * 2,
+							triangleSize,
+							[hexVal(this.hash, i), hexVal(this.hash, i + 1)],
+							this.palette
+						)
 					} else {
 						drawOuterMosaicTile(
 							this.svg,
 							x * triangleSize * 2,
 							y * triangleSize * 2,
 							triangleSize,
-							hexVal(this.hash, i)
+							hexVal(this.hash, i),
+							this.palette
 						)
 					}
 				}
@@ -874,6 +1891,8 @@ export default class Pattern {
 				i += 1
 			}
 		}
+
+		return { triangleSize: triangleSize }
 	}
 
 	geoPlaid() {
@@ -889,7 +1908,7 @@ export default class Pattern {
 
 			val = hexVal(this.hash, i + 1)
 			opacity = fillOpacity(val)
-			fill = fillColor(val)
+			fill = fillColor(val, this.palette)
 			stripeHeight = val + 5
 
 			this.svg.rect(0, height, '100%', stripeHeight, {
@@ -909,7 +1928,7 @@ export default class Pattern {
 
 			val = hexVal(this.hash, i + 1)
 			opacity = fillOpacity(val)
-			fill = fillColor(val)
+			fill = fillColor(val, this.palette)
 			stripeWidth = val + 5
 
 			this.svg.rect(width, 0, stripeWidth, '100%', {
@@ -923,11 +1942,13 @@ export default class Pattern {
 
 		this.svg.setWidth(width)
 		this.svg.setHeight(height)
+
+		return {}
 	}
 
 	geoTessellation() {
 		// 3.4.6.4 semi-regular tessellation
-		const sideLength = map(hexVal(this.hash, 0), 0, 15, 5, 40)
+		const sideLength = this.param('sideLength', hexVal(this.hash, 0))
 		const hexHeight = sideLength * Math.sqrt(3)
 		const hexWidth = sideLength * 2
 		const triangleHeight = (sideLength / 2) * Math.sqrt(3)
@@ -942,7 +1963,7 @@ export default class Pattern {
 		for (i = 0; i < 20; i++) {
 			val = hexVal(this.hash, i)
 			opacity = fillOpacity(val)
-			fill = fillColor(val)
+			fill = fillColor(val, this.palette)
 
 			styles = {
 				stroke: STROKE_COLOR,
@@ -1082,19 +2103,370 @@ export default class Pattern {
 					break
 			}
 		}
+
+		return { sideLength: sideLength }
+	}
+
+	geoTruchet() {
+		const cellSize = this.param('cellSize', hexVal(this.hash, 0))
+		const strokeWidth = this.param('strokeWidth', hexVal(this.hash, 1))
+		const arc = buildTruchetShape(cellSize, strokeWidth, false)
+		const diagonal = buildTruchetShape(cellSize, strokeWidth, true)
+		const { columns, rows } = this.gridSize({ cellWidth: cellSize, cellHeight: cellSize })
+		let fill, i, opacity, tile, val, x, y
+
+		this.svg.setWidth(cellSize * columns)
+		this.svg.setHeight(cellSize * rows)
+
+		i = 0
+		for (y = 0; y < rows; y++) {
+			for (x = 0; x < columns; x++) {
+				val = hexVal(this.hash, i)
+				opacity = fillOpacity(val)
+				fill = fillColor(val, this.palette)
+				// The kind and turn of the tile come from the digits after those of the fills
+				tile = hexVal(this.hash, columns * rows + i)
+
+				// Bands stay within their cell, so cells on the edges need no copy to tile
+				this.svg
+					.path(tile % 2 === 0 ? arc : diagonal, {
+						fill: fill,
+						'fill-opacity': opacity,
+					})
+					.transform({
+						translate: [x * cellSize, y * cellSize],
+						rotate: [Math.floor(tile / 2) % 2 === 0 ? 0 : 90, cellSize / 2, cellSize / 2],
+					})
+
+				i += 1
+			}
+		}
+
+		return { cellSize: cellSize, strokeWidth: strokeWidth }
 	}
 }
 
+/**
+ * Custom generator function
+ * @callback Generator
+ * @param {Renderer} svg - Renderer to draw into, the SVG builder or the canvas of `drawTo()`. Its width and height
+ * must be set by the generator
+ * @param {string} hash - Hex string to derive values from
+ * @param {{ hexVal: typeof hexVal, map: typeof map, fillColor: function(number): string, fillOpacity: typeof fillOpacity }} helpers
+ */
+
+/**
+ * Adds a generator usable with `options.generator` and eligible for hash-based selection
+ * @param {string} name - Name of the generator, must not shadow a built-in one
+ * @param {Generator} fn - Draws the pattern
+ */
+export function registerGenerator(name, fn) {
+	if (typeof name !== 'string' || name === '') {
+		throw new TypeError('The generator name must be a non-empty string.')
+	}
+	if (typeof fn !== 'function') {
+		throw new TypeError('The generator ' + name + ' must be a function.')
+	}
+	if (PATTERNS.indexOf(name) >= 0) {
+		throw new Error('The generator ' + name + ' is built-in and cannot be replaced.')
+	}
+
+	customGenerators.set(name, fn)
+}
+
+/**
+ * Removes a generator added with `registerGenerator`
+ * @param {string} name - Name of the generator
+ * @returns {boolean} Whether the generator was registered
+ */
+export function unregisterGenerator(name) {
+	return customGenerators.delete(name)
+}
+
 // Helpers
 
+function hashString(string, options) {
+	let hash = options.hash
+
+	if (hash === undefined || hash === null) {
+		const algorithm = options.hashAlgorithm || 'sha1'
+		const fn = typeof algorithm === 'function' ? algorithm : HASH_ALGORITHMS[algorithm]
+
+		if (typeof fn !== 'function') {
+			throw new Error('The hash algorithm ' + algorithm + ' does not exist.')
+		}
+
+		hash = fn(string)
+	}
+
+	if (typeof hash !== 'string' || hash.length < HASH_MIN_LENGTH || /[^0-9a-f]/i.test(hash)) {
+		throw new TypeError('The hash must be a string of at least ' + HASH_MIN_LENGTH + ' hexadecimal digits.')
+	}
+
+	return hash
+}
+
+function gridCount(count, tileSize, cellSize, step, size, name) {
+	if (count !== undefined) {
+		if (!Number.isInteger(count) || count < 2) {
+			throw new RangeError('options.grid.' + name + ' must be an integer of at least 2.')
+		}
+		if (count % step !== 0) {
+			throw new RangeError('options.grid.' + name + ' must be a multiple of ' + step + ' for this pattern to tile.')
+		}
+		return count
+	}
+
+	if (tileSize !== undefined) {
+		return Math.max(2, Math.round(tileSize / (cellSize * step)) * step)
+	}
+
+	return size
+}
+
+function generatorNames() {
+	return PATTERNS.concat(Array.from(customGenerators.keys()))
+}
+
+/*
+ * The first 16 names are addressed by a single hex digit, as they always were.
+ * Names past those are picked from a second roll with a proportional share,
+ * so that adding generators keeps most seeds on the same pattern.
+ */
+function selectGenerator(hash, names) {
+	const extra = names.length - 16
+	const roll = hexVal(hash, 21, 2)
+
+	if (extra > 0 && roll < Math.round((256 * extra) / names.length)) {
+		return names[16 + (roll % extra)]
+	}
+
+	return names[hexVal(hash, 20)]
+}
+
+// Shapes pulse in groups, as their own opacity is set. The delay follows the opacity, derived from the
+// hash like it, so that shapes repeated across the edges stay in sync
+function wrapPulses(node, name, duration) {
+	node.children.forEach(function (child, i) {
+		if (typeof child !== 'object') {
+			return
+		}
+
+		const opacity =
+			child.attributes['fill-opacity'] === undefined ? child.attributes.opacity : child.attributes['fill-opacity']
+
+		if (opacity === undefined) {
+			wrapPulses(child, name, duration)
+			return
+		}
+
+		const phase = (opacity - OPACITY_MIN) / (OPACITY_MAX - OPACITY_MIN)
+		const group = new XMLNode('g')
+
+		group.setAttribute('class', name)
+		group.setAttribute('style', 'animation-delay:' + -Math.round(phase * duration * 1000) / 1000 + 's')
+		group.appendChild(child)
+		node.children[i] = group
+	})
+}
+
+// A <pattern> repeating the content of the root, with its first tile at x, y
+function patternElement(root, id, x, y) {
+	const width = Number(root.attributes.width)
+	const height = Number(root.attributes.height)
+	const pattern = new XMLNode('pattern')
+
+	pattern.setAttribute('id', id).setAttribute('patternUnits', 'userSpaceOnUse')
+	if (x || y) {
+		pattern.setAttribute('x', x).setAttribute('y', y)
+	}
+	pattern.setAttribute('width', width).setAttribute('height', height)
+
+	// Percentages would refer to the shape being filled, the tile is sized in pixels instead
+	root.children.forEach(function (child) {
+		pattern.appendChild(absoluteLengths(child, width, height))
+	})
+
+	return pattern
+}
+
+// Initials given as a string, or derived from the seed: the first letters of its first and last words
+function avatarInitials(initials, seed) {
+	if (initials === false || initials === undefined || initials === null) {
+		return ''
+	}
+
+	if (initials === true) {
+		if (typeof seed !== 'string') {
+			throw new Error('The seed of the pattern is unknown, the initials must be given.')
+		}
+
+		// The name of an email address is before the @
+		const words = seed
+			.split('@')[0]
+			.split(/[^\p{L}\p{N}]+/u)
+			.filter(Boolean)
+
+		initials =
+			words.length === 0
+				? ''
+				: Array.from(words[0])[0] + (words.length > 1 ? Array.from(words[words.length - 1])[0] : '')
+		return initials.toUpperCase()
+	}
+
+	if (typeof initials !== 'string' || Array.from(initials).length > 2) {
+		throw new RangeError('The initials must be a string of at most two characters.')
+	}
+
+	return initials
+}
+
+function round(value) {
+	return Math.round(value * 100) / 100
+}
+
+function modulo(value, divisor) {
+	return ((value % divisor) + divisor) % divisor
+}
+
+// Copies the root element with a title and description, making it an image for assistive technologies
+function accessibleRoot(root, title, description) {
+	if (title === undefined && description === undefined) {
+		return root
+	}
+
+	const copy = new XMLNode(root.tagName)
+
+	;[
+		['title', title],
+		['description', description],
+	].forEach(function ([name, value]) {
+		if (value !== undefined && typeof value !== 'string') {
+			throw new TypeError('The ' + name + ' must be a string.')
+		}
+	})
+
+	Object.keys(root.attributes).forEach(function (name) {
+		copy.setAttribute(name, root.attributes[name])
+	})
+	copy.setAttribute('role', 'img')
+
+	if (title !== undefined) {
+		copy.setAttribute('aria-label', title)
+		copy.appendChild(new XMLNode('title').appendText(title))
+	}
+
+	if (description !== undefined) {
+		copy.appendChild(new XMLNode('desc').appendText(description))
+	}
+
+	root.children.forEach(function (child) {
+		copy.appendChild(child)
+	})
+
+	return copy
+}
+
+function outputIndent(pretty) {
+	if (pretty === undefined || pretty === false) {
+		return ''
+	}
+
+	if (pretty === true) {
+		return '\t'
+	}
+
+	if (typeof pretty !== 'string' || !/^[ \t]+$/.test(pretty)) {
+		throw new TypeError('The pretty option must be a boolean or a string of spaces or tabs.')
+	}
+
+	return pretty
+}
+
+// Copies a tree with percentages of the tile size replaced by pixels
+function absoluteLengths(node, width, height) {
+	if (!(node instanceof XMLNode)) {
+		return node
+	}
+
+	const copy = new XMLNode(node.tagName)
+
+	Object.keys(node.attributes).forEach(function (name) {
+		const value = node.attributes[name]
+		const reference =
+			HORIZONTAL_LENGTHS.indexOf(name) !== -1 ? width : VERTICAL_LENGTHS.indexOf(name) !== -1 ? height : 0
+
+		if (reference && /^-?[\d.]+(e[-+]?\d+)?%$/i.test(String(value))) {
+			copy.setAttribute(name, (parseFloat(value) / 100) * reference)
+		} else {
+			copy.setAttribute(name, value)
+		}
+	})
+
+	node.children.forEach(function (child) {
+		copy.appendChild(absoluteLengths(child, width, height))
+	})
+
+	return copy
+}
+
+// Ids are unique to the hash and color, so that several patterns can be inlined in a document
+function elementId(pattern, name) {
+	return 'geopattern-' + pattern.hash.slice(0, 8) + '-' + pattern.color.slice(1) + '-' + name
+}
+
+function rotateHue(rgb, degrees, colorSpace) {
+	if (colorSpace === 'oklch') {
+		const oklch = color.rgb2oklch(rgb)
+		oklch.h = (oklch.h + degrees / 360 + 1) % 1
+		return color.oklch2rgb(oklch)
+	}
+
+	const hsl = color.rgb2hsl(rgb)
+	hsl.h = (hsl.h + degrees / 360 + 1) % 1
+	return color.hsl2rgb(hsl)
+}
+
+// Renders a small tile once per pattern and averages its pixels
+function meanColor(pattern) {
+	if (!meanColors.has(pattern)) {
+		const root = pattern.svg.svg
+		const size = Math.max(parseFloat(root.attributes.width), parseFloat(root.attributes.height))
+		const image = rasterize(root, { scale: Math.min(1, MEAN_COLOR_TILE_SIZE / size) })
+		const sum = [0, 0, 0]
+
+		for (let i = 0; i < image.data.length; i += 4) {
+			sum[0] += image.data[i]
+			sum[1] += image.data[i + 1]
+			sum[2] += image.data[i + 2]
+		}
+
+		const count = image.data.length / 4
+		meanColors.set(pattern, {
+			r: Math.round(sum[0] / count),
+			g: Math.round(sum[1] / count),
+			b: Math.round(sum[2] / count),
+		})
+	}
+
+	return meanColors.get(pattern)
+}
+
 /**
- * Extract a substring from a hex string and parse it as an integer
+ * Extract a substring from a hex string and parse it as an integer.
+ * Indexes past the end of the hash read from a deterministic stream seeded by it.
  * @param {string} hash - Source hex string
  * @param {number} index - Start index of substring
  * @param {number} [length] - Length of substring. Defaults to 1.
  */
 function hexVal(hash, index, len) {
-	return parseInt(hash.substr(index, len || 1), 16)
+	const length = len || 1
+
+	if (index + length > hash.length) {
+		hash = extendHash(hash, index + length)
+	}
+
+	return parseInt(hash.substr(index, length), 16)
 }
 
 /*
@@ -1109,8 +2481,8 @@ function map(value, vMin, vMax, dMin, dMax) {
 	return ((vValue - vMin) * dRange) / vRange + dMin
 }
 
-function fillColor(val) {
-	return val % 2 === 0 ? FILL_COLOR_LIGHT : FILL_COLOR_DARK
+function fillColor(val, palette) {
+	return palette[val % palette.length]
 }
 
 function fillOpacity(val) {
@@ -1156,14 +2528,36 @@ function buildDiamondShape(width, height) {
 	return [width / 2, 0, width, height / 2, width / 2, height, 0, height / 2].join(',')
 }
 
+// Band joining two corners of a cell with quarter arcs around them, or along its diagonal
+function buildTruchetShape(cellSize, width, diagonal) {
+	const s = cellSize
+	const outer = (s + width) / 2
+	const inner = (s - width) / 2
+	const d = width / Math.SQRT2
+
+	if (diagonal) {
+		return ['M0 0 L', d, 0, 'L', s, s - d, 'L', s, s, 'L', s - d, s, 'L', 0, d, 'Z'].join(' ')
+	}
+
+	return [
+		['M', outer, 0, 'A', outer, outer, 0, 0, 1, 0, outer, 'L', 0, inner, 'A', inner, inner, 0, 0, 0, inner, 0, 'Z'],
+		['M', s, s - outer, 'A', outer, outer, 0, 0, 0, s - outer, s, 'L', s - inner, s],
+		['A', inner, inner, 0, 0, 1, s, s - inner, 'Z'],
+	]
+		.map(function (x) {
+			return x.join(' ')
+		})
+		.join(' ')
+}
+
 function buildRightTriangleShape(sideLength) {
 	return [0, 0, sideLength, sideLength, 0, sideLength, 0, 0].join(',')
 }
 
-function drawInnerMosaicTile(svg, x, y, triangleSize, vals) {
+function drawInnerMosaicTile(svg, x, y, triangleSize, vals, palette) {
 	const triangle = buildRightTriangleShape(triangleSize)
 	let opacity = fillOpacity(vals[0])
-	let fill = fillColor(vals[0])
+	let fill = fillColor(vals[0], palette)
 
 	let styles = {
 		stroke: STROKE_COLOR,
@@ -1182,7 +2576,7 @@ function drawInnerMosaicTile(svg, x, y, triangleSize, vals) {
 	})
 
 	opacity = fillOpacity(vals[1])
-	fill = fillColor(vals[1])
+	fill = fillColor(vals[1], palette)
 	styles = {
 		stroke: STROKE_COLOR,
 		'stroke-opacity': STROKE_OPACITY,
@@ -1200,9 +2594,9 @@ function drawInnerMosaicTile(svg, x, y, triangleSize, vals) {
 	})
 }
 
-function drawOuterMosaicTile(svg, x, y, triangleSize, val) {
+function drawOuterMosaicTile(svg, x, y, triangleSize, val, palette) {
 	const opacity = fillOpacity(val)
-	const fill = fillColor(val)
+	const fill = fillColor(val, palette)
 	const triangle = buildRightTriangleShape(triangleSize)
 	const styles = {
 		stroke: STROKE_COLOR,
@@ -0,0 +1,239 @@
+'use strict'
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+
+const LENGTH_BASE = [
+	3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258,
+]
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0]
+const DIST_BASE = [
+	1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145,
+	8193, 12289, 16385, 24577,
+]
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13]
+
+const WINDOW_SIZE = 32768
+const HASH_SIZE = 1 << 15
+const MIN_MATCH = 3
+const MAX_MATCH = 258
+const MAX_CHAIN = 64
+
+let crcTable
+
+/**
+ * Encodes RGBA pixels as a PNG file
+ * @param {{ width: number, height: number, data: Uint8Array | Uint8ClampedArray }} image - 8-bit RGBA pixels, row by row
+ * @returns {Uint8Array}
+ */
+export default function encodePng(image) {
+	const width = image.width
+	const height = image.height
+	const stride = width * 4
+	const raw = new Uint8Array((stride + 1) * height)
+
+	// Every scanline uses filter type 0 (None), the tiles repeat enough for LZ77 to do the work
+	for (let y = 0; y < height; y++) {
+		raw.set(image.data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1)
+	}
+
+	const header = new Uint8Array(13)
+	writeUint32(header, 0, width)
+	writeUint32(header, 4, height)
+	header[8] = 8 // bit depth
+	header[9] = 6 // color type: truecolor with alpha
+
+	const chunks = [chunk('IHDR', header), chunk('IDAT', zlib(raw)), chunk('IEND', new Uint8Array(0))]
+	const out = new Uint8Array(
+		SIGNATURE.length +
+			chunks.reduce(function (total, c) {
+				return total + c.length
+			}, 0)
+	)
+
+	out.set(SIGNATURE, 0)
+	let offset = SIGNATURE.length
+	chunks.forEach(function (c) {
+		out.set(c, offset)
+		offset += c.length
+	})
+
+	return out
+}
+
+function chunk(type, data) {
+	const out = new Uint8Array(data.length + 12)
+	writeUint32(out, 0, data.length)
+	for (let i = 0; i < 4; i++) {
+		out[4 + i] = type.charCodeAt(i)
+	}
+	out.set(data, 8)
+	writeUint32(out, data.length + 8, crc32(out.subarray(4, data.length + 8)))
+	return out
+}
+
+function writeUint32(bytes, offset, value) {
+	bytes[offset] = value >>> 24
+	bytes[offset + 1] = (value >>> 16) & 0xff
+	bytes[offset + 2] = (value >>> 8) & 0xff
+	bytes[offset + 3] = value & 0xff
+}
+
+function crc32(bytes) {
+	if (!crcTable) {
+		crcTable = new Uint32Array(256)
+		for (let n = 0; n < 256; n++) {
+			let c = n
+			for (let k = 0; k < 8; k++) {
+				c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+			}
+			crcTable[n] = c
+		}
+	}
+
+	let crc = 0xffffffff
+	for (let i = 0; i < bytes.length; i++) {
+		crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+	}
+	return (crc ^ 0xffffffff) >>> 0
+}
+
+function adler32(bytes) {
+	let a = 1
+	let b = 0
+	for (let i = 0; i < bytes.length; i++) {
+		a = (a + bytes[i]) % 65521
+		b = (b + a) % 65521
+	}
+	return ((b << 16) | a) >>> 0
+}
+
+/**
+ * Wraps a single fixed-Huffman deflate block in a zlib stream (RFC 1950 / 1951)
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+function zlib(bytes) {
+	const writer = new BitWriter(bytes.length / 4 + 64)
+	const head = new Int32Array(HASH_SIZE).fill(-1)
+	const prev = new Int32Array(WINDOW_SIZE)
+	let i = 0
+
+	writer.bits(0x78, 8)
+	writer.bits(0x01, 8)
+	writer.bits(1, 1) // BFINAL
+	writer.bits(1, 2) // BTYPE: fixed Huffman codes
+
+	function insert(pos) {
+		const h = ((bytes[pos] << 10) ^ (bytes[pos + 1] << 5) ^ bytes[pos + 2]) & (HASH_SIZE - 1)
+		prev[pos & (WINDOW_SIZE - 1)] = head[h]
+		head[h] = pos
+	}
+
+	while (i < bytes.length) {
+		let bestLength = 0
+		let bestDistance = 0
+
+		if (i + MIN_MATCH <= bytes.length) {
+			const h = ((bytes[i] << 10) ^ (bytes[i + 1] << 5) ^ bytes[i + 2]) & (HASH_SIZE - 1)
+			const maxLength = Math.min(MAX_MATCH, bytes.length - i)
+			let candidate = head[h]
+			let chain = MAX_CHAIN
+
+			while (candidate >= 0 && i - candidate <= WINDOW_SIZE && chain-- > 0) {
+				let length = 0
+				while (length < maxLength && bytes[candidate + length] === bytes[i + length]) {
+					length++
+				}
+				if (length > bestLength) {
+					bestLength = length
+					bestDistance = i - candidate
+					if (length === maxLength) break
+				}
+				candidate = prev[candidate & (WINDOW_SIZE - 1)]
+			}
+		}
+
+		if (bestLength >= MIN_MATCH) {
+			writer.length(bestLength)
+			writer.distance(bestDistance)
+			for (let end = i + bestLength; i < end; i++) {
+				if (i + MIN_MATCH <= bytes.length) insert(i)
+			}
+		} else {
+			writer.literal(bytes[i])
+			if (i + MIN_MATCH <= bytes.length) insert(i)
+			i++
+		}
+	}
+
+	writer.literal(256) // end of block
+	writer.align()
+
+	const checksum = adler32(bytes)
+	for (let shift = 24; shift >= 0; shift -= 8) {
+		writer.bits((checksum >>> shift) & 0xff, 8)
+	}
+
+	return writer.bytes()
+}
+
+class BitWriter {
+	constructor(capacity) {
+		this.buffer = new Uint8Array(Math.max(1024, Math.ceil(capacity)))
+		this.offset = 0
+		this.bitBuffer = 0
+		this.bitCount = 0
+	}
+	// Values are packed starting from their least significant bit
+	bits(value, count) {
+		this.bitBuffer |= value << this.bitCount
+		this.bitCount += count
+		while (this.bitCount >= 8) {
+			this.push(this.bitBuffer & 0xff)
+			this.bitBuffer >>>= 8
+			this.bitCount -= 8
+		}
+	}
+	// Huffman codes are packed starting from their most significant bit
+	code(value, count) {
+		let reversed = 0
+		for (let i = 0; i < count; i++) {
+			reversed = (reversed << 1) | ((value >>> i) & 1)
+		}
+		this.bits(reversed, count)
+	}
+	literal(value) {
+		if (value < 144) this.code(0x30 + value, 8)
+		else if (value < 256) this.code(0x190 + value - 144, 9)
+		else if (value < 280) this.code(value - 256, 7)
+		else this.code(0xc0 + value - 280, 8)
+	}
+	length(length) {
+		let index = LENGTH_BASE.length - 1
+		while (LENGTH_BASE[index] > length) index--
+		this.literal(257 + index)
+		this.bits(length - LENGTH_BASE[index], LENGTH_EXTRA[index])
+	}
+	distance(distance) {
+		let index = DIST_BASE.length - 1
+		while (DIST_BASE[index] > distance) index--
+		this.code(index, 5)
+		this.bits(distance - DIST_BASE[index], DIST_EXTRA[index])
+	}
+	align() {
+		if (this.bitCount > 0) {
+			this.bits(0, 8 - this.bitCount)
+		}
+	}
+	push(byte) {
+		if (this.offset === this.buffer.length) {
+			const grown = new Uint8Array(this.buffer.length * 2)
+			grown.set(this.buffer)
+			this.buffer = grown
+		}
+		this.buffer[this.offset++] = byte
+	}
+	bytes() {
+		return this.buffer.slice(0, this.offset)
+	}
+}
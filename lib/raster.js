@@ -0,0 +1,1271 @@
+'use strict'
+
+import color from './color.js'
+
+// Vertical samples per pixel row, horizontal coverage is computed exactly
+const SUBSAMPLES = 4
+const MITER_LIMIT = 4
+// Control point distance to approximate a quarter circle with a cubic Bézier
+const KAPPA = 0.5522847498307936
+
+const OPAQUE = { r: 1, g: 1, b: 1, a: 1 }
+
+export const DEFAULT_STYLE = {
+	fill: { r: 0, g: 0, b: 0 },
+	'fill-opacity': 1,
+	stroke: null,
+	'stroke-opacity': 1,
+	'stroke-width': 1,
+	'stroke-linecap': 'butt',
+	'stroke-linejoin': 'miter',
+}
+
+/**
+ * Renders an SVG node tree into RGBA pixels. Supports the shapes and attributes
+ * emitted by the SVG builder: rect, circle, ellipse, line, polyline, polygon, path,
+ * groups, use, transforms, fill, stroke, opacities, linear and radial gradients, patterns,
+ * clip paths, the viewBox of the root, and presentation properties set by class selectors
+ * of style elements. Text is not rendered.
+ * The root tile is rendered once and repeated to fill the requested size.
+ * @param {import('./xml.js').default} root - The `<svg>` node
+ * @param {Object} [options]
+ * @param {number} [options.width] - Width of the image in pixels, defaults to the scaled tile width
+ * @param {number} [options.height] - Height of the image in pixels, defaults to the scaled tile height
+ * @param {number} [options.scale] - Size of a tile pixel in image pixels, defaults to 1
+ * @returns {{ width: number, height: number, data: Uint8ClampedArray }}
+ */
+export default function rasterize(root, options) {
+	const opts = options || {}
+	const scale = opts.scale === undefined ? 1 : opts.scale
+	const size = {
+		width: parseFloat(root.attributes.width),
+		height: parseFloat(root.attributes.height),
+	}
+	// A viewBox is stretched to the size, preserveAspectRatio is not supported
+	const viewBox =
+		root.attributes.viewBox === undefined ? [0, 0, size.width, size.height] : numbers(root.attributes.viewBox)
+	const viewport = { width: viewBox[2], height: viewBox[3] }
+	const tileWidth = Math.max(1, Math.round(size.width * scale))
+	const tileHeight = Math.max(1, Math.round(size.height * scale))
+	const width = opts.width === undefined ? tileWidth : opts.width
+	const height = opts.height === undefined ? tileHeight : opts.height
+	const tile = new Layer(tileWidth, tileHeight)
+	const ctm = multiply(
+		[tileWidth / viewport.width, 0, 0, tileHeight / viewport.height, 0, 0],
+		[1, 0, 0, 1, -viewBox[0], -viewBox[1]]
+	)
+	const scene = { viewport: viewport, ids: new Map(), classes: new Map(), uses: new Set() }
+
+	collectDefinitions(root, scene)
+	root.children.forEach(function (child) {
+		renderNode(child, ctm, DEFAULT_STYLE, tile, scene)
+	})
+
+	const data = new Uint8ClampedArray(width * height * 4)
+
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			const src = ((y % tileHeight) * tileWidth + (x % tileWidth)) * 4
+			const dst = (y * width + x) * 4
+			const alpha = tile.data[src + 3]
+
+			if (alpha > 0) {
+				data[dst] = Math.round((tile.data[src] / alpha) * 255)
+				data[dst + 1] = Math.round((tile.data[src + 1] / alpha) * 255)
+				data[dst + 2] = Math.round((tile.data[src + 2] / alpha) * 255)
+				data[dst + 3] = Math.round(alpha * 255)
+			}
+		}
+	}
+
+	return { width: width, height: height, data: data }
+}
+
+// Premultiplied RGBA pixels in the [0, 1] range, with the area drawn so far
+class Layer {
+	constructor(width, height) {
+		this.width = width
+		this.height = height
+		this.data = new Float32Array(width * height * 4)
+		this.minX = width
+		this.minY = height
+		this.maxX = 0
+		this.maxY = 0
+	}
+	blend(x, y, r, g, b, a) {
+		const i = (y * this.width + x) * 4
+		const keep = 1 - a
+
+		this.data[i] = r * a + this.data[i] * keep
+		this.data[i + 1] = g * a + this.data[i + 1] * keep
+		this.data[i + 2] = b * a + this.data[i + 2] * keep
+		this.data[i + 3] = a + this.data[i + 3] * keep
+	}
+	touch(minX, minY, maxX, maxY) {
+		this.minX = Math.min(this.minX, minX)
+		this.minY = Math.min(this.minY, minY)
+		this.maxX = Math.max(this.maxX, maxX)
+		this.maxY = Math.max(this.maxY, maxY)
+	}
+	// Keeps the pixels where the other layer is opaque
+	mask(layer) {
+		for (let y = this.minY; y < this.maxY; y++) {
+			for (let x = this.minX; x < this.maxX; x++) {
+				const i = (y * this.width + x) * 4
+				const a = layer.data[i + 3]
+
+				this.data[i] *= a
+				this.data[i + 1] *= a
+				this.data[i + 2] *= a
+				this.data[i + 3] *= a
+			}
+		}
+	}
+	// Source-over of an already premultiplied layer
+	composite(layer, opacity) {
+		for (let y = layer.minY; y < layer.maxY; y++) {
+			for (let x = layer.minX; x < layer.maxX; x++) {
+				const i = (y * this.width + x) * 4
+				const a = layer.data[i + 3] * opacity
+
+				if (a > 0) {
+					const keep = 1 - a
+					this.data[i] = layer.data[i] * opacity + this.data[i] * keep
+					this.data[i + 1] = layer.data[i + 1] * opacity + this.data[i + 1] * keep
+					this.data[i + 2] = layer.data[i + 2] * opacity + this.data[i + 2] * keep
+					this.data[i + 3] = a + this.data[i + 3] * keep
+				}
+			}
+		}
+		this.touch(layer.minX, layer.minY, layer.maxX, layer.maxY)
+	}
+}
+
+function renderNode(node, parentCtm, parentStyle, layer, scene) {
+	if (!node || !node.tagName) {
+		return
+	}
+
+	// Class rules take precedence over presentation attributes
+	const attrs = { ...node.attributes, ...classDeclarations(node.attributes.class, scene.classes) }
+	const ctm = attrs.transform ? multiply(parentCtm, parseTransform(attrs.transform)) : parentCtm
+	const style = inheritStyle(parentStyle, attrs, scene)
+	const opacity = attrs.opacity === undefined ? 1 : clamp(parseFloat(attrs.opacity))
+	const viewport = scene.viewport
+
+	if (opacity <= 0) {
+		return
+	}
+
+	if (node.tagName === 'g' || node.tagName === 'svg' || node.tagName === 'use') {
+		// A use element is a group holding the element it references, unless that would recurse
+		const href = String(attrs.href || attrs['xlink:href'] || '')
+		const use = node.tagName === 'use'
+		const children = !use
+			? node.children
+			: href[0] === '#' && !scene.uses.has(node)
+				? [scene.ids.get(href.slice(1))]
+				: []
+		const childCtm = use
+			? multiply(ctm, [1, 0, 0, 1, length(attrs.x, viewport.width), length(attrs.y, viewport.height)])
+			: ctm
+		const clip = clipPathNode(attrs['clip-path'], scene.ids)
+		// Group opacity and clipping apply to the children once they are composited together
+		const target = opacity < 1 || clip ? new Layer(layer.width, layer.height) : layer
+
+		scene.uses.add(node)
+		children.forEach(function (child) {
+			renderNode(child, childCtm, style, target, scene)
+		})
+		scene.uses.delete(node)
+
+		if (clip) {
+			target.mask(clipMask(clip, ctm, target, scene))
+		}
+
+		if (target !== layer && target.maxX > target.minX) {
+			layer.composite(target, opacity)
+		}
+		return
+	}
+
+	const subpaths = shapeGeometry(node.tagName, attrs, viewport)
+
+	if (!subpaths) {
+		return
+	}
+
+	const polylines = subpaths.map(function (subpath) {
+		return flatten(subpath, ctm)
+	})
+	const fill = resolvePaint(style.fill, subpaths, ctm, scene)
+	const stroke = resolvePaint(style.stroke, subpaths, ctm, scene)
+
+	if (fill && node.tagName !== 'line') {
+		fillPolygons(
+			layer,
+			polylines.map(function (p) {
+				return p.points
+			}),
+			fill,
+			style['fill-opacity'] * opacity
+		)
+	}
+
+	if (stroke && style['stroke-width'] > 0) {
+		const width = style['stroke-width'] * Math.sqrt(Math.abs(ctm[0] * ctm[3] - ctm[1] * ctm[2]))
+		const polygons = []
+
+		polylines.forEach(function (polyline) {
+			strokePolygons(polyline, width / 2, style, polygons)
+		})
+		fillPolygons(layer, polygons, stroke, style['stroke-opacity'] * opacity)
+	}
+}
+
+export function inheritStyle(parent, attrs, scene) {
+	const style = { ...parent }
+
+	if (attrs.fill !== undefined) style.fill = parsePaint(attrs.fill, scene.ids)
+	if (attrs.stroke !== undefined) style.stroke = parsePaint(attrs.stroke, scene.ids)
+	if (attrs['fill-opacity'] !== undefined) style['fill-opacity'] = clamp(parseFloat(attrs['fill-opacity']))
+	if (attrs['stroke-opacity'] !== undefined) style['stroke-opacity'] = clamp(parseFloat(attrs['stroke-opacity']))
+	if (attrs['stroke-width'] !== undefined) style['stroke-width'] = parseFloat(attrs['stroke-width'])
+	if (attrs['stroke-linecap'] !== undefined) style['stroke-linecap'] = attrs['stroke-linecap']
+	if (attrs['stroke-linejoin'] !== undefined) style['stroke-linejoin'] = attrs['stroke-linejoin']
+
+	return style
+}
+
+function parsePaint(value, ids) {
+	const url = /^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/.exec(String(value).trim())
+	let rgb
+
+	if (url) {
+		const node = ids.get(url[1])
+		if (node && node.tagName === 'pattern') {
+			return { pattern: node }
+		}
+
+		return node && (node.tagName === 'linearGradient' || node.tagName === 'radialGradient') ? { gradient: node } : null
+	}
+
+	try {
+		rgb = color.parse(value)
+	} catch (error) {
+		// none and currentColor are not painted
+		return null
+	}
+
+	return { r: rgb.r / 255, g: rgb.g / 255, b: rgb.b / 255, a: rgb.a }
+}
+
+// Colors varying across the shape are shaded by device pixel
+function resolvePaint(paint, subpaths, ctm, scene) {
+	if (paint && paint.gradient) {
+		return gradientPaint(paint.gradient, subpaths, ctm, scene.viewport)
+	}
+
+	if (paint && paint.pattern) {
+		return patternPaint(paint.pattern, ctm, scene)
+	}
+
+	return paint
+}
+
+function clamp(value) {
+	return isNaN(value) ? 1 : Math.min(1, Math.max(0, value))
+}
+
+// Clipping
+
+export function clipPathNode(value, ids) {
+	const url = /^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/.exec(String(value || '').trim())
+	const node = url && ids.get(url[1])
+
+	return node && node.tagName === 'clipPath' ? node : null
+}
+
+// Coverage of the shapes of a clip path, in the user space of the element it clips
+function clipMask(clip, ctm, layer, scene) {
+	const mask = new Layer(layer.width, layer.height)
+	const base = clip.attributes.transform ? multiply(ctm, parseTransform(clip.attributes.transform)) : ctm
+
+	clip.children.forEach(function (child) {
+		const subpaths = child && child.tagName && shapeGeometry(child.tagName, child.attributes, scene.viewport)
+
+		if (subpaths) {
+			const m = child.attributes.transform ? multiply(base, parseTransform(child.attributes.transform)) : base
+			const polygons = subpaths.map(function (subpath) {
+				return flatten(subpath, m).points
+			})
+
+			fillPolygons(mask, polygons, OPAQUE, 1)
+		}
+	})
+
+	return mask
+}
+
+// Indexes elements by id, and the declarations of class selectors of style elements
+export function collectDefinitions(node, scene) {
+	if (!node || !node.tagName) {
+		return
+	}
+
+	if (node.attributes.id !== undefined) {
+		scene.ids.set(String(node.attributes.id), node)
+	}
+
+	if (node.tagName === 'style') {
+		parseRules(node.children.join(''), scene.classes)
+		return
+	}
+
+	node.children.forEach(function (child) {
+		collectDefinitions(child, scene)
+	})
+}
+
+// Keeps rules whose selectors are all single classes, nested at-rules are read as if they always apply
+function parseRules(css, classes) {
+	const re = /([^{}]+)\{([^{}]*)\}/g
+	let match
+
+	while ((match = re.exec(css))) {
+		const selectors = match[1].split(',').map(function (selector) {
+			return selector.trim()
+		})
+
+		if (
+			!selectors.every(function (selector) {
+				return /^\.[\w-]+$/.test(selector)
+			})
+		) {
+			continue
+		}
+
+		match[2].split(';').forEach(function (declaration) {
+			const colon = declaration.indexOf(':')
+
+			if (colon > 0) {
+				selectors.forEach(function (selector) {
+					const rules = classes.get(selector.slice(1)) || {}
+					rules[declaration.slice(0, colon).trim()] = declaration.slice(colon + 1).trim()
+					classes.set(selector.slice(1), rules)
+				})
+			}
+		})
+	}
+}
+
+export function classDeclarations(names, classes) {
+	const declarations = {}
+
+	String(names || '')
+		.split(/\s+/)
+		.forEach(function (name) {
+			Object.assign(declarations, classes.get(name))
+		})
+
+	return declarations
+}
+
+// Gradients
+
+/**
+ * Resolves a gradient for a shape to a paint whose color varies by device pixel.
+ * Radial gradients ignore their focal point.
+ * @returns {?{ shade: function(number, number): number[] }}
+ */
+function gradientPaint(node, subpaths, ctm, viewport) {
+	const attrs = node.attributes
+	const stops = gradientStops(node)
+	const spread = attrs.spreadMethod || 'pad'
+	let units = viewport
+	let m = ctm
+	let position
+
+	if (attrs.gradientUnits !== 'userSpaceOnUse') {
+		const box = bounds(subpaths)
+
+		if (!(box.width > 0 && box.height > 0)) {
+			return null
+		}
+		units = { width: 1, height: 1 }
+		m = multiply(m, [box.width, 0, 0, box.height, box.x, box.y])
+	}
+
+	if (attrs.gradientTransform) {
+		m = multiply(m, parseTransform(attrs.gradientTransform))
+	}
+
+	const inverse = invert(m)
+
+	if (!inverse || stops.length === 0) {
+		return null
+	}
+
+	if (node.tagName === 'linearGradient') {
+		const x1 = length(attrs.x1, units.width)
+		const y1 = length(attrs.y1, units.height)
+		const dx = length(attrs.x2 === undefined ? '100%' : attrs.x2, units.width) - x1
+		const dy = length(attrs.y2, units.height) - y1
+		const squared = dx * dx + dy * dy
+
+		position = function (x, y) {
+			return squared > 0 ? ((x - x1) * dx + (y - y1) * dy) / squared : 1
+		}
+	} else {
+		const cx = length(attrs.cx === undefined ? '50%' : attrs.cx, units.width)
+		const cy = length(attrs.cy === undefined ? '50%' : attrs.cy, units.height)
+		const r = length(attrs.r === undefined ? '50%' : attrs.r, Math.hypot(units.width, units.height) / Math.SQRT2)
+
+		position = function (x, y) {
+			return r > 0 ? Math.hypot(x - cx, y - cy) / r : 1
+		}
+	}
+
+	return {
+		shade: function (px, py) {
+			const p = apply(inverse, px, py)
+			return sampleStops(stops, spread, position(p[0], p[1]))
+		},
+	}
+}
+
+// Patterns
+
+/**
+ * Renders the tile of a pattern once and repeats it, sampling its nearest pixel.
+ * Only patterns in user space are supported, without patternTransform or viewBox.
+ * @returns {?{ shade: function(number, number): number[] }}
+ */
+function patternPaint(node, ctm, scene) {
+	const attrs = node.attributes
+	const width = length(attrs.width, scene.viewport.width)
+	const height = length(attrs.height, scene.viewport.height)
+	const x = length(attrs.x, scene.viewport.width)
+	const y = length(attrs.y, scene.viewport.height)
+	const inverse = invert(ctm)
+	const scaleX = Math.hypot(ctm[0], ctm[1])
+	const scaleY = Math.hypot(ctm[2], ctm[3])
+	const tileWidth = Math.round(width * scaleX)
+	const tileHeight = Math.round(height * scaleY)
+
+	if (
+		attrs.patternUnits !== 'userSpaceOnUse' ||
+		!inverse ||
+		!(tileWidth > 0 && tileHeight > 0) ||
+		scene.uses.has(node)
+	) {
+		return null
+	}
+
+	const tile = new Layer(tileWidth, tileHeight)
+	const tileScene = { ...scene, viewport: { width: width, height: height } }
+	const tileCtm = [tileWidth / width, 0, 0, tileHeight / height, 0, 0]
+
+	scene.uses.add(node)
+	node.children.forEach(function (child) {
+		renderNode(child, tileCtm, DEFAULT_STYLE, tile, tileScene)
+	})
+	scene.uses.delete(node)
+
+	return {
+		shade: function (px, py) {
+			const p = apply(inverse, px, py)
+			const tx = Math.min(tileWidth - 1, Math.floor((modulo(p[0] - x, width) / width) * tileWidth))
+			const ty = Math.min(tileHeight - 1, Math.floor((modulo(p[1] - y, height) / height) * tileHeight))
+			const i = (ty * tileWidth + tx) * 4
+			const a = tile.data[i + 3]
+
+			return a > 0 ? [tile.data[i] / a, tile.data[i + 1] / a, tile.data[i + 2] / a, a] : [0, 0, 0, 0]
+		},
+	}
+}
+
+function modulo(value, divisor) {
+	return ((value % divisor) + divisor) % divisor
+}
+
+// Premultiplied colors of the stops, with offsets made increasing
+export function gradientStops(node) {
+	const stops = []
+	let previous = 0
+
+	node.children.forEach(function (child) {
+		if (child.tagName !== 'stop') {
+			return
+		}
+
+		const attrs = child.attributes
+		const paint = parsePaint(attrs['stop-color'] === undefined ? '#000' : attrs['stop-color'], new Map())
+		const alpha =
+			(paint ? paint.a : 0) * (attrs['stop-opacity'] === undefined ? 1 : clamp(parseFloat(attrs['stop-opacity'])))
+		const offset = Math.max(previous, Math.min(1, Math.max(0, length(attrs.offset, 1))))
+
+		stops.push([offset, paint ? paint.r * alpha : 0, paint ? paint.g * alpha : 0, paint ? paint.b * alpha : 0, alpha])
+		previous = offset
+	})
+
+	return stops
+}
+
+// Returns the straight color at a gradient position
+function sampleStops(stops, spread, t) {
+	if (spread === 'repeat') {
+		t -= Math.floor(t)
+	} else if (spread === 'reflect') {
+		t = Math.abs(t) % 2
+		t = t > 1 ? 2 - t : t
+	} else {
+		t = Math.min(1, Math.max(0, t))
+	}
+
+	let i = 0
+	while (i < stops.length && stops[i][0] < t) {
+		i++
+	}
+
+	let c
+	if (i === 0) {
+		c = stops[0]
+	} else if (i === stops.length) {
+		c = stops[stops.length - 1]
+	} else {
+		const a = stops[i - 1]
+		const b = stops[i]
+		const f = b[0] > a[0] ? (t - a[0]) / (b[0] - a[0]) : 1
+		c = [t, a[1] + (b[1] - a[1]) * f, a[2] + (b[2] - a[2]) * f, a[3] + (b[3] - a[3]) * f, a[4] + (b[4] - a[4]) * f]
+	}
+
+	return c[4] > 0 ? [c[1] / c[4], c[2] / c[4], c[3] / c[4], c[4]] : [0, 0, 0, 0]
+}
+
+// Geometry
+
+export function length(value, reference) {
+	const str = String(value === undefined ? 0 : value)
+	const number = parseFloat(str)
+
+	return str.trim().slice(-1) === '%' ? (number / 100) * reference : number || 0
+}
+
+function numbers(str) {
+	return (String(str).match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []).map(Number)
+}
+
+/**
+ * Converts a shape to subpaths made of line and cubic segments, in user space
+ * @returns {?Array<{ start: number[], segments: number[][], closed: boolean }>}
+ */
+export function shapeGeometry(tagName, attrs, viewport) {
+	let x, y, w, h, rx, ry
+
+	switch (tagName) {
+		case 'rect':
+			x = length(attrs.x, viewport.width)
+			y = length(attrs.y, viewport.height)
+			w = length(attrs.width, viewport.width)
+			h = length(attrs.height, viewport.height)
+			rx = attrs.rx === undefined ? attrs.ry : attrs.rx
+			ry = attrs.ry === undefined ? attrs.rx : attrs.ry
+			rx = Math.min(length(rx, viewport.width), w / 2)
+			ry = Math.min(length(ry, viewport.height), h / 2)
+			return w > 0 && h > 0 ? [roundedRect(x, y, w, h, rx, ry)] : null
+		case 'circle':
+			rx = ry = length(attrs.r, Math.hypot(viewport.width, viewport.height) / Math.SQRT2)
+			return rx > 0 ? [ellipse(length(attrs.cx, viewport.width), length(attrs.cy, viewport.height), rx, ry)] : null
+		case 'ellipse':
+			rx = length(attrs.rx, viewport.width)
+			ry = length(attrs.ry, viewport.height)
+			return rx > 0 && ry > 0
+				? [ellipse(length(attrs.cx, viewport.width), length(attrs.cy, viewport.height), rx, ry)]
+				: null
+		case 'line':
+			return [
+				{
+					start: [length(attrs.x1, viewport.width), length(attrs.y1, viewport.height)],
+					segments: [[length(attrs.x2, viewport.width), length(attrs.y2, viewport.height)]],
+					closed: false,
+				},
+			]
+		case 'polyline':
+		case 'polygon':
+			return pointsGeometry(numbers(attrs.points), tagName === 'polygon')
+		case 'path':
+			return parsePath(attrs.d || '')
+		default:
+			return null
+	}
+}
+
+function pointsGeometry(values, closed) {
+	if (values.length < 4) {
+		return null
+	}
+
+	const segments = []
+	for (let i = 2; i + 1 < values.length; i += 2) {
+		segments.push([values[i], values[i + 1]])
+	}
+	return [{ start: [values[0], values[1]], segments: segments, closed: closed }]
+}
+
+function roundedRect(x, y, w, h, rx, ry) {
+	if (!(rx > 0 && ry > 0)) {
+		return {
+			start: [x, y],
+			segments: [
+				[x + w, y],
+				[x + w, y + h],
+				[x, y + h],
+			],
+			closed: true,
+		}
+	}
+
+	const kx = rx * KAPPA
+	const ky = ry * KAPPA
+	const r = x + w
+	const b = y + h
+
+	return {
+		start: [x + rx, y],
+		segments: [
+			[r - rx, y],
+			[r - rx + kx, y, r, y + ry - ky, r, y + ry],
+			[r, b - ry],
+			[r, b - ry + ky, r - rx + kx, b, r - rx, b],
+			[x + rx, b],
+			[x + rx - kx, b, x, b - ry + ky, x, b - ry],
+			[x, y + ry],
+			[x, y + ry - ky, x + rx - kx, y, x + rx, y],
+		],
+		closed: true,
+	}
+}
+
+function ellipse(cx, cy, rx, ry) {
+	const kx = rx * KAPPA
+	const ky = ry * KAPPA
+
+	return {
+		start: [cx + rx, cy],
+		segments: [
+			[cx + rx, cy + ky, cx + kx, cy + ry, cx, cy + ry],
+			[cx - kx, cy + ry, cx - rx, cy + ky, cx - rx, cy],
+			[cx - rx, cy - ky, cx - kx, cy - ry, cx, cy - ry],
+			[cx + kx, cy - ry, cx + rx, cy - ky, cx + rx, cy],
+		],
+		closed: true,
+	}
+}
+
+/**
+ * Parses SVG path data, quadratic curves and arcs are converted to cubic segments
+ */
+function parsePath(d) {
+	const tokens = String(d).match(/[a-df-z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []
+	const subpaths = []
+	let current = null
+	let command = null
+	let x = 0
+	let y = 0
+	let startX = 0
+	let startY = 0
+	let lastControl = null
+	let lastCommand = null
+	let i = 0
+
+	function next() {
+		return parseFloat(tokens[i++])
+	}
+
+	function lineTo(nx, ny) {
+		ensure()
+		current.segments.push([nx, ny])
+		x = nx
+		y = ny
+	}
+
+	function cubicTo(x1, y1, x2, y2, nx, ny) {
+		ensure()
+		current.segments.push([x1, y1, x2, y2, nx, ny])
+		x = nx
+		y = ny
+	}
+
+	// Drawing commands after a close path start from the last subpath start
+	function ensure() {
+		if (!current) {
+			current = { start: [x, y], segments: [], closed: false }
+			subpaths.push(current)
+		}
+	}
+
+	while (i < tokens.length) {
+		if (/[a-z]/i.test(tokens[i])) {
+			command = tokens[i++]
+		} else if (command === null) {
+			break
+		}
+
+		const relative = command === command.toLowerCase()
+		const ox = relative ? x : 0
+		const oy = relative ? y : 0
+		let x1, y1, x2, y2, nx, ny
+
+		switch (command.toUpperCase()) {
+			case 'M':
+				x = startX = next() + ox
+				y = startY = next() + oy
+				current = { start: [x, y], segments: [], closed: false }
+				subpaths.push(current)
+				// Subsequent pairs are implicit line commands
+				command = relative ? 'l' : 'L'
+				break
+			case 'L':
+				lineTo(next() + ox, next() + oy)
+				break
+			case 'H':
+				lineTo(next() + ox, y)
+				break
+			case 'V':
+				lineTo(x, next() + oy)
+				break
+			case 'C':
+				x1 = next() + ox
+				y1 = next() + oy
+				x2 = next() + ox
+				y2 = next() + oy
+				cubicTo(x1, y1, x2, y2, next() + ox, next() + oy)
+				lastControl = [x2, y2]
+				break
+			case 'S':
+				if (lastControl && /[CS]/i.test(lastCommand)) {
+					x1 = 2 * x - lastControl[0]
+					y1 = 2 * y - lastControl[1]
+				} else {
+					x1 = x
+					y1 = y
+				}
+				x2 = next() + ox
+				y2 = next() + oy
+				cubicTo(x1, y1, x2, y2, next() + ox, next() + oy)
+				lastControl = [x2, y2]
+				break
+			case 'Q':
+			case 'T':
+				if (command.toUpperCase() === 'Q') {
+					x1 = next() + ox
+					y1 = next() + oy
+				} else if (lastControl && /[QT]/i.test(lastCommand)) {
+					x1 = 2 * x - lastControl[0]
+					y1 = 2 * y - lastControl[1]
+				} else {
+					x1 = x
+					y1 = y
+				}
+				nx = next() + ox
+				ny = next() + oy
+				cubicTo(
+					x + (2 / 3) * (x1 - x),
+					y + (2 / 3) * (y1 - y),
+					nx + (2 / 3) * (x1 - nx),
+					ny + (2 / 3) * (y1 - ny),
+					nx,
+					ny
+				)
+				lastControl = [x1, y1]
+				break
+			case 'A': {
+				const rx = next()
+				const ry = next()
+				const rotation = next()
+				const largeArc = next()
+				const sweep = next()
+				nx = next() + ox
+				ny = next() + oy
+				arcToCubics(x, y, rx, ry, rotation, largeArc, sweep, nx, ny).forEach(function (c) {
+					cubicTo(c[0], c[1], c[2], c[3], c[4], c[5])
+				})
+				x = nx
+				y = ny
+				break
+			}
+			case 'Z':
+				if (current) {
+					current.closed = true
+				}
+				current = null
+				x = startX
+				y = startY
+				break
+			default:
+				return subpaths
+		}
+
+		if (isNaN(x) || isNaN(y)) {
+			break
+		}
+
+		lastCommand = command
+	}
+
+	// Drop what a truncated command left behind
+	return subpaths.filter(function (subpath) {
+		subpath.segments = subpath.segments.filter(function (segment) {
+			return segment.every(isFinite)
+		})
+		return subpath.segments.length > 0
+	})
+}
+
+// Endpoint to center parameterization, https://www.w3.org/TR/SVG/implnote.html#ArcImplementationNotes
+function arcToCubics(x0, y0, rx, ry, rotation, largeArc, sweep, x, y) {
+	if (rx === 0 || ry === 0) {
+		return [[x0, y0, x, y, x, y]]
+	}
+
+	const phi = (rotation * Math.PI) / 180
+	const cos = Math.cos(phi)
+	const sin = Math.sin(phi)
+	const dx = (x0 - x) / 2
+	const dy = (y0 - y) / 2
+	const x1 = cos * dx + sin * dy
+	const y1 = -sin * dx + cos * dy
+
+	rx = Math.abs(rx)
+	ry = Math.abs(ry)
+
+	const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry)
+	if (lambda > 1) {
+		rx *= Math.sqrt(lambda)
+		ry *= Math.sqrt(lambda)
+	}
+
+	const sign = !!largeArc === !!sweep ? -1 : 1
+	const num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1
+	const den = rx * rx * y1 * y1 + ry * ry * x1 * x1
+	const coef = sign * Math.sqrt(Math.max(0, num / den))
+	const cx1 = (coef * rx * y1) / ry
+	const cy1 = (-coef * ry * x1) / rx
+	const cx = cos * cx1 - sin * cy1 + (x0 + x) / 2
+	const cy = sin * cx1 + cos * cy1 + (y0 + y) / 2
+
+	const theta = Math.atan2((y1 - cy1) / ry, (x1 - cx1) / rx)
+	let delta = Math.atan2((-y1 - cy1) / ry, (-x1 - cx1) / rx) - theta
+
+	if (sweep && delta < 0) delta += 2 * Math.PI
+	if (!sweep && delta > 0) delta -= 2 * Math.PI
+
+	const count = Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9)
+	const step = delta / count
+	const k = (4 / 3) * Math.tan(step / 4)
+	const cubics = []
+
+	// Point on the arc, moved along its tangent for control points
+	function point(angle, tangent) {
+		const ex = rx * (Math.cos(angle) - tangent * k * Math.sin(angle))
+		const ey = ry * (Math.sin(angle) + tangent * k * Math.cos(angle))
+		return [cos * ex - sin * ey + cx, sin * ex + cos * ey + cy]
+	}
+
+	for (let i = 0; i < count; i++) {
+		const a0 = theta + i * step
+		const a1 = a0 + step
+		const c1 = point(a0, 1)
+		const c2 = point(a1, -1)
+		const end = i === count - 1 ? [x, y] : point(a1, 0)
+		cubics.push([c1[0], c1[1], c2[0], c2[1], end[0], end[1]])
+	}
+
+	return cubics
+}
+
+// Transforms
+
+export function multiply(m, n) {
+	return [
+		m[0] * n[0] + m[2] * n[1],
+		m[1] * n[0] + m[3] * n[1],
+		m[0] * n[2] + m[2] * n[3],
+		m[1] * n[2] + m[3] * n[3],
+		m[0] * n[4] + m[2] * n[5] + m[4],
+		m[1] * n[4] + m[3] * n[5] + m[5],
+	]
+}
+
+export function parseTransform(str) {
+	const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g
+	let matrix = [1, 0, 0, 1, 0, 0]
+	let match
+
+	while ((match = re.exec(str))) {
+		const args = numbers(match[2])
+		let m
+
+		switch (match[1]) {
+			case 'matrix':
+				m = args.length === 6 ? args : [1, 0, 0, 1, 0, 0]
+				break
+			case 'translate':
+				m = [1, 0, 0, 1, args[0] || 0, args[1] || 0]
+				break
+			case 'scale':
+				m = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0]
+				break
+			case 'rotate': {
+				const a = ((args[0] || 0) * Math.PI) / 180
+				const cx = args[1] || 0
+				const cy = args[2] || 0
+				const cos = Math.cos(a)
+				const sin = Math.sin(a)
+				m = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy]
+				break
+			}
+			case 'skewX':
+				m = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0]
+				break
+			case 'skewY':
+				m = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0]
+				break
+		}
+
+		matrix = multiply(matrix, m)
+	}
+
+	return matrix
+}
+
+export function invert(m) {
+	const det = m[0] * m[3] - m[1] * m[2]
+
+	if (!det) {
+		return null
+	}
+
+	return [
+		m[3] / det,
+		-m[1] / det,
+		-m[2] / det,
+		m[0] / det,
+		(m[2] * m[5] - m[3] * m[4]) / det,
+		(m[1] * m[4] - m[0] * m[5]) / det,
+	]
+}
+
+export function apply(m, x, y) {
+	return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]]
+}
+
+// Bounding box of subpaths in user space, curves included
+export function bounds(subpaths) {
+	let minX = Infinity
+	let minY = Infinity
+	let maxX = -Infinity
+	let maxY = -Infinity
+
+	subpaths.forEach(function (subpath) {
+		flatten(subpath, [1, 0, 0, 1, 0, 0]).points.forEach(function (p) {
+			minX = Math.min(minX, p[0])
+			minY = Math.min(minY, p[1])
+			maxX = Math.max(maxX, p[0])
+			maxY = Math.max(maxY, p[1])
+		})
+	})
+
+	return { x: minX, y: minY, width: maxX - minX, height: maxY - minY }
+}
+
+// Transforms a subpath to device space, splitting curves into line segments there
+export function flatten(subpath, ctm) {
+	let current = apply(ctm, subpath.start[0], subpath.start[1])
+	const points = [current]
+
+	subpath.segments.forEach(function (segment) {
+		if (segment.length === 2) {
+			current = apply(ctm, segment[0], segment[1])
+			points.push(current)
+			return
+		}
+
+		const p1 = apply(ctm, segment[0], segment[1])
+		const p2 = apply(ctm, segment[2], segment[3])
+		const p3 = apply(ctm, segment[4], segment[5])
+		const hull =
+			Math.hypot(p1[0] - current[0], p1[1] - current[1]) +
+			Math.hypot(p2[0] - p1[0], p2[1] - p1[1]) +
+			Math.hypot(p3[0] - p2[0], p3[1] - p2[1])
+		const steps = Math.max(1, Math.min(256, Math.ceil(Math.sqrt(hull * 2))))
+		const p0 = current
+
+		for (let i = 1; i <= steps; i++) {
+			const t = i / steps
+			const mt = 1 - t
+			const a = mt * mt * mt
+			const b = 3 * mt * mt * t
+			const c = 3 * mt * t * t
+			const d = t * t * t
+			points.push([a * p0[0] + b * p1[0] + c * p2[0] + d * p3[0], a * p0[1] + b * p1[1] + c * p2[1] + d * p3[1]])
+		}
+		current = p3
+	})
+
+	return { points: points, closed: subpath.closed }
+}
+
+// Strokes
+
+function strokePolygons(polyline, halfWidth, style, polygons) {
+	const points = polyline.points.filter(function (p, i, all) {
+		return i === 0 || Math.hypot(p[0] - all[i - 1][0], p[1] - all[i - 1][1]) > 1e-9
+	})
+	const closed = polyline.closed && points.length > 2
+	const segments = []
+
+	if (
+		closed &&
+		Math.hypot(points[0][0] - points[points.length - 1][0], points[0][1] - points[points.length - 1][1]) > 1e-9
+	) {
+		points.push(points[0])
+	}
+
+	for (let i = 1; i < points.length; i++) {
+		const p0 = points[i - 1]
+		const p1 = points[i]
+		const len = Math.hypot(p1[0] - p0[0], p1[1] - p0[1])
+		const dir = [(p1[0] - p0[0]) / len, (p1[1] - p0[1]) / len]
+		const normal = [-dir[1] * halfWidth, dir[0] * halfWidth]
+
+		segments.push({ p0: p0, p1: p1, dir: dir, normal: normal })
+		polygons.push(
+			oriented([
+				[p0[0] + normal[0], p0[1] + normal[1]],
+				[p1[0] + normal[0], p1[1] + normal[1]],
+				[p1[0] - normal[0], p1[1] - normal[1]],
+				[p0[0] - normal[0], p0[1] - normal[1]],
+			])
+		)
+	}
+
+	if (segments.length === 0) {
+		return
+	}
+
+	for (let i = 1; i < segments.length; i++) {
+		join(segments[i - 1], segments[i], halfWidth, style['stroke-linejoin'], polygons)
+	}
+
+	if (closed) {
+		join(segments[segments.length - 1], segments[0], halfWidth, style['stroke-linejoin'], polygons)
+	} else {
+		cap(segments[0].p0, [-segments[0].dir[0], -segments[0].dir[1]], halfWidth, style['stroke-linecap'], polygons)
+		cap(
+			segments[segments.length - 1].p1,
+			segments[segments.length - 1].dir,
+			halfWidth,
+			style['stroke-linecap'],
+			polygons
+		)
+	}
+}
+
+function join(a, b, halfWidth, type, polygons) {
+	const p = a.p1
+	const turn = a.dir[0] * b.dir[1] - a.dir[1] * b.dir[0]
+	const cos = a.dir[0] * b.dir[0] + a.dir[1] * b.dir[1]
+
+	if (Math.abs(turn) < 1e-9 && cos > 0) {
+		return
+	}
+
+	if (type === 'round') {
+		polygons.push(circlePolygon(p, halfWidth))
+		return
+	}
+
+	// The gap to fill is on the outside of the turn
+	const side = b.dir[0] * a.normal[0] + b.dir[1] * a.normal[1] > 0 ? -1 : 1
+	const from = [p[0] + side * a.normal[0], p[1] + side * a.normal[1]]
+	const to = [p[0] + side * b.normal[0], p[1] + side * b.normal[1]]
+
+	// Normals turn by the same angle as the directions
+	if (type !== 'bevel' && 1 + cos > 1e-9 && Math.sqrt(2 / (1 + cos)) <= MITER_LIMIT) {
+		const tip = [
+			p[0] + (side * (a.normal[0] + b.normal[0])) / (1 + cos),
+			p[1] + (side * (a.normal[1] + b.normal[1])) / (1 + cos),
+		]
+		polygons.push(oriented([p, from, tip, to]))
+	} else {
+		polygons.push(oriented([p, from, to]))
+	}
+}
+
+function cap(p, dir, halfWidth, type, polygons) {
+	if (type === 'round') {
+		polygons.push(circlePolygon(p, halfWidth))
+	} else if (type === 'square') {
+		const n = [-dir[1] * halfWidth, dir[0] * halfWidth]
+		const e = [dir[0] * halfWidth, dir[1] * halfWidth]
+		polygons.push(
+			oriented([
+				[p[0] + n[0], p[1] + n[1]],
+				[p[0] + n[0] + e[0], p[1] + n[1] + e[1]],
+				[p[0] - n[0] + e[0], p[1] - n[1] + e[1]],
+				[p[0] - n[0], p[1] - n[1]],
+			])
+		)
+	}
+}
+
+function circlePolygon(center, radius) {
+	const steps = Math.max(8, Math.min(128, Math.ceil(radius * 2)))
+	const points = []
+
+	for (let i = 0; i < steps; i++) {
+		const a = (i / steps) * Math.PI * 2
+		points.push([center[0] + Math.cos(a) * radius, center[1] + Math.sin(a) * radius])
+	}
+	return oriented(points)
+}
+
+// Winds every stroke piece the same way so that the nonzero rule unites them
+function oriented(points) {
+	let area = 0
+	for (let i = 0; i < points.length; i++) {
+		const p = points[i]
+		const q = points[(i + 1) % points.length]
+		area += p[0] * q[1] - q[0] * p[1]
+	}
+	return area < 0 ? points.reverse() : points
+}
+
+// Scan conversion
+
+/**
+ * Fills polygons with the nonzero rule, blending the paint into the layer
+ * with antialiased coverage
+ */
+function fillPolygons(layer, polygons, paint, opacity) {
+	const alpha = opacity * (paint.a === undefined ? 1 : paint.a)
+	const edges = []
+	let minX = Infinity
+	let minY = Infinity
+	let maxX = -Infinity
+	let maxY = -Infinity
+
+	if (!(alpha > 0)) {
+		return
+	}
+
+	polygons.forEach(function (points) {
+		for (let i = 0; i < points.length; i++) {
+			const p = points[i]
+			const q = points[(i + 1) % points.length]
+
+			minX = Math.min(minX, p[0])
+			maxX = Math.max(maxX, p[0])
+			minY = Math.min(minY, p[1])
+			maxY = Math.max(maxY, p[1])
+
+			if (p[1] !== q[1]) {
+				edges.push(p[1] < q[1] ? [p[0], p[1], q[0], q[1], 1] : [q[0], q[1], p[0], p[1], -1])
+			}
+		}
+	})
+
+	const x0 = Math.max(0, Math.floor(minX))
+	const x1 = Math.min(layer.width, Math.ceil(maxX))
+	const y0 = Math.max(0, Math.floor(minY))
+	const y1 = Math.min(layer.height, Math.ceil(maxY))
+
+	if (x0 >= x1 || y0 >= y1) {
+		return
+	}
+
+	const coverage = new Float32Array(layer.width + 1)
+	const runs = new Float32Array(layer.width + 1)
+	const crossings = []
+
+	for (let py = y0; py < y1; py++) {
+		const active = edges.filter(function (e) {
+			return e[1] < py + 1 && e[3] > py
+		})
+
+		if (active.length === 0) {
+			continue
+		}
+
+		for (let s = 0; s < SUBSAMPLES; s++) {
+			const sy = py + (s + 0.5) / SUBSAMPLES
+			crossings.length = 0
+
+			active.forEach(function (e) {
+				if (e[1] <= sy && e[3] > sy) {
+					crossings.push([e[0] + ((sy - e[1]) * (e[2] - e[0])) / (e[3] - e[1]), e[4]])
+				}
+			})
+
+			crossings.sort(function (a, b) {
+				return a[0] - b[0]
+			})
+
+			let winding = 0
+			let start = 0
+			crossings.forEach(function (crossing) {
+				const before = winding
+				winding += crossing[1]
+
+				if (before === 0 && winding !== 0) {
+					start = crossing[0]
+				} else if (before !== 0 && winding === 0) {
+					addSpan(coverage, runs, Math.max(x0, start), Math.min(x1, crossing[0]))
+				}
+			})
+		}
+
+		let run = 0
+		for (let px = x0; px < x1; px++) {
+			run += runs[px]
+			const a = Math.min(1, coverage[px] + run) * alpha
+
+			if (a > 0 && paint.shade) {
+				const c = paint.shade(px + 0.5, py + 0.5)
+				layer.blend(px, py, c[0], c[1], c[2], a * c[3])
+			} else if (a > 0) {
+				layer.blend(px, py, paint.r, paint.g, paint.b, a)
+			}
+			coverage[px] = 0
+			runs[px] = 0
+		}
+		runs[x1] = 0
+	}
+
+	layer.touch(x0, y0, x1, y1)
+}
+
+// Adds a horizontal span of one subsample row, interior pixels go through running sums
+function addSpan(coverage, runs, xa, xb) {
+	if (xb <= xa) {
+		return
+	}
+
+	const weight = 1 / SUBSAMPLES
+	const ia = Math.floor(xa)
+	const ib = Math.floor(xb)
+
+	if (ia === ib) {
+		coverage[ia] += (xb - xa) * weight
+		return
+	}
+
+	coverage[ia] += (ia + 1 - xa) * weight
+	runs[ia + 1] += weight
+	runs[ib] -= weight
+	if (xb > ib) {
+		coverage[ib] += (xb - ib) * weight
+	}
+}
@@ -46,10 +46,12 @@ export default class SVG {
 		})
 	}
 	setWidth(width) {
-		this.svg.setAttribute('width', Math.floor(width))
+		this.width = Math.floor(width)
+		this.svg.setAttribute('width', this.width)
 	}
 	setHeight(height) {
-		this.svg.setAttribute('height', Math.floor(height))
+		this.height = Math.floor(height)
+		this.svg.setAttribute('height', this.height)
 	}
 	toString() {
 		return this.svg.toString()
@@ -117,6 +119,61 @@ export default class SVG {
 
 		return this
 	}
+	// Paint servers are kept in a single <defs>, before any shape
+	defs() {
+		if (!this.definitions) {
+			this.definitions = new XMLNode('defs')
+			this.svg.children.unshift(this.definitions)
+			this.svg.lastChild = this.svg.lastChild || this.definitions
+		}
+
+		return this.definitions
+	}
+	linearGradient(id, stops, args) {
+		return this.gradient('linearGradient', id, stops, args)
+	}
+	radialGradient(id, stops, args) {
+		return this.gradient('radialGradient', id, stops, args)
+	}
+	gradient(tagName, id, stops, args) {
+		var self = this
+		var gradient = new XMLNode(tagName)
+		this.defs().appendChild(gradient)
+		this.setAttributes(gradient, { id: id, ...args })
+
+		stops.forEach(function (attrs) {
+			var stop = new XMLNode('stop')
+			gradient.appendChild(stop)
+			self.setAttributes(stop, attrs)
+		})
+
+		return this
+	}
+	use(href, args) {
+		var use = new XMLNode('use')
+		this.currentContext().appendChild(use)
+		this.setAttributes(use, {
+			...args,
+			href: href,
+		})
+
+		return this
+	}
+	style(css) {
+		var style = new XMLNode('style')
+		this.defs().appendChild(style)
+		style.appendText(css)
+
+		return this
+	}
+	// Shapes drawn until end() make up the clip path, like a group
+	clipPath(id, args) {
+		var clipPath = new XMLNode('clipPath')
+		this.defs().appendChild(clipPath)
+		this.context.push(clipPath)
+		this.setAttributes(clipPath, { id: id, ...args })
+		return this
+	}
 	// group and context are hacks
 	group(args) {
 		var group = new XMLNode('g')
@@ -0,0 +1,278 @@
+'use strict'
+
+import {
+	DEFAULT_STYLE,
+	classDeclarations,
+	collectDefinitions,
+	flatten,
+	inheritStyle,
+	length,
+	multiply,
+	parseTransform,
+	shapeGeometry,
+} from './raster.js'
+
+// Distance in pixels under which coordinates are equal, above the rounding of the generators
+const TOLERANCE = 0.01
+
+/**
+ * Mismatch reported by `verifyTiling()`
+ * @typedef {Object} TilingMismatch
+ * @property {import('./xml.js').default} element - Shape crossing an edge of the tile
+ * @property {{ x: number, y: number, width: number, height: number }} bounds - Bounding box of the shape in the tile
+ * @property {{ x: number, y: number }} offset - Offset at which a copy of the shape is missing
+ * @property {{ x: number, y: number }} [near] - Offset of a copy placed up to a pixel further instead, as generators
+ * do when the size of their grid is floored to the tile
+ * @property {string} message
+ */
+
+/**
+ * Checks that a pattern tiles seamlessly, from the geometry it emits rather than its pixels.
+ * A shape crossing an edge of the tile is cut there, and must be completed by a copy of it
+ * with the same style, offset by the width or the height of the tile, on the opposite edge.
+ * Shapes are compared after their transforms, animations are ignored. Tile sizes are floored to whole pixels,
+ * so the seams of grids a fraction of a pixel larger are reported too.
+ * @param {import('./pattern.js').default} pattern
+ * @returns {TilingMismatch[]} Shapes missing a copy, empty when the pattern tiles
+ * @example
+ * verifyTiling(GeoPattern.generate('GitHub')).forEach((mismatch) => console.warn(mismatch.message))
+ */
+export default function verifyTiling(pattern) {
+	if (!pattern || !pattern.svg || !pattern.svg.svg) {
+		throw new TypeError('The value is not a pattern.')
+	}
+
+	const root = pattern.svg.svg
+	const width = parseFloat(root.attributes.width)
+	const height = parseFloat(root.attributes.height)
+	const scene = { viewport: { width: width, height: height }, ids: new Map(), classes: new Map(), uses: new Set() }
+	const shapes = []
+	const mismatches = []
+
+	collectDefinitions(root, scene)
+	root.children.forEach(function (child) {
+		collectShapes(child, [1, 0, 0, 1, 0, 0], DEFAULT_STYLE, 1, scene, shapes)
+	})
+
+	shapes.forEach(function (shape) {
+		const box = shape.bounds
+
+		// Shapes outside of the tile are not drawn
+		if (box.x >= width || box.y >= height || box.x + box.width <= 0 || box.y + box.height <= 0) {
+			return
+		}
+
+		const columns = [0]
+		const rows = [0]
+
+		// Shapes spanning the tile, such as waves, continue themselves instead of being copied
+		if (box.x < -TOLERANCE && !continues(shape, width, 0)) columns.push(width)
+		if (box.x + box.width > width + TOLERANCE && !continues(shape, -width, 0)) columns.push(-width)
+		if (box.y < -TOLERANCE && !continues(shape, 0, height)) rows.push(height)
+		if (box.y + box.height > height + TOLERANCE && !continues(shape, 0, -height)) rows.push(-height)
+
+		columns.forEach(function (x) {
+			rows.forEach(function (y) {
+				if ((x !== 0 || y !== 0) && !findCopy(shapes, shape, x, y, 0)) {
+					const copy = findCopy(shapes, shape, x, y, 1)
+					const near = copy && { x: copy.bounds.x - box.x, y: copy.bounds.y - box.y }
+
+					mismatches.push({
+						element: shape.element,
+						bounds: box,
+						offset: { x: x, y: y },
+						near: near,
+						message:
+							'The ' +
+							shape.element.tagName +
+							' at ' +
+							round(box.x) +
+							', ' +
+							round(box.y) +
+							' crosses an edge of the tile, but ' +
+							(near
+								? 'its copy is offset by ' + round(near.x) + ', ' + round(near.y) + ' instead of '
+								: 'no copy of it is offset by ') +
+							round(x) +
+							', ' +
+							round(y) +
+							'.',
+					})
+				}
+			})
+		})
+	})
+
+	return mismatches
+}
+
+// Lists the painted shapes with their points in the space of the tile, and a key of their style
+function collectShapes(node, parentCtm, parentStyle, parentOpacity, scene, shapes) {
+	if (!node || !node.tagName) {
+		return
+	}
+
+	const attrs = { ...node.attributes, ...classDeclarations(node.attributes.class, scene.classes) }
+	const ctm = attrs.transform ? multiply(parentCtm, parseTransform(attrs.transform)) : parentCtm
+	const style = inheritStyle(parentStyle, attrs, scene)
+	const opacity = parentOpacity * (attrs.opacity === undefined ? 1 : parseFloat(attrs.opacity))
+
+	if (!(opacity > 0)) {
+		return
+	}
+
+	if (node.tagName === 'g' || node.tagName === 'svg' || node.tagName === 'use') {
+		const href = String(attrs.href || attrs['xlink:href'] || '')
+		const use = node.tagName === 'use'
+		const children = !use
+			? node.children
+			: href[0] === '#' && !scene.uses.has(node)
+				? [scene.ids.get(href.slice(1))]
+				: []
+		const childCtm = use
+			? multiply(ctm, [1, 0, 0, 1, length(attrs.x, scene.viewport.width), length(attrs.y, scene.viewport.height)])
+			: ctm
+
+		scene.uses.add(node)
+		children.forEach(function (child) {
+			collectShapes(child, childCtm, style, opacity, scene, shapes)
+		})
+		scene.uses.delete(node)
+		return
+	}
+
+	const subpaths = shapeGeometry(node.tagName, attrs, scene.viewport)
+	const filled = style.fill && node.tagName !== 'line'
+	const stroked = style.stroke && style['stroke-width'] > 0
+
+	if (!subpaths || !(filled || stroked)) {
+		return
+	}
+
+	const points = []
+
+	subpaths.forEach(function (subpath) {
+		flatten(subpath, ctm).points.forEach(function (point) {
+			points.push(point)
+		})
+	})
+
+	shapes.push({
+		element: node,
+		points: points,
+		bounds: pointsBounds(points),
+		key: JSON.stringify([
+			node.tagName === 'line' ? 'line' : 'shape',
+			filled ? paintKey(style.fill) : null,
+			filled ? style['fill-opacity'] : null,
+			stroked ? paintKey(style.stroke) : null,
+			stroked ? style['stroke-opacity'] : null,
+			stroked ? round(style['stroke-width'] * Math.sqrt(Math.abs(ctm[0] * ctm[3] - ctm[1] * ctm[2]))) : null,
+			stroked ? style['stroke-linecap'] : null,
+			stroked ? style['stroke-linejoin'] : null,
+			opacity,
+		]),
+	})
+}
+
+// A copy is the same shape moved by the size of the tile. With a slack, copies moved by up to that much more
+// are found too, such as those placed at the size of the grid when it was floored to the tile
+function findCopy(shapes, shape, x, y, slack) {
+	return shapes.find(function (other) {
+		return other !== shape && other.key === shape.key && isCopy(shape, other, x, y, slack)
+	})
+}
+
+function isCopy(shape, other, x, y, slack) {
+	const a = shape.bounds
+	const b = other.bounds
+	const dx = b.x - a.x
+	const dy = b.y - a.y
+
+	return (
+		other.points.length === shape.points.length &&
+		isOffset(dx, x, slack) &&
+		isOffset(dy, y, slack) &&
+		Math.abs(b.width - a.width) <= TOLERANCE &&
+		Math.abs(b.height - a.height) <= TOLERANCE &&
+		// Mirrored copies list their points in another order
+		shape.points.every(function (p) {
+			return hasPoint(other.points, p[0] + dx, p[1] + dy)
+		})
+	)
+}
+
+// Whether the points of a shape moved by the size of the tile, where they still overlap it, are points of it
+function continues(shape, x, y) {
+	const box = shape.bounds
+	const inside = function (p, dx, dy) {
+		return (
+			p[0] + dx >= box.x - TOLERANCE &&
+			p[0] + dx <= box.x + box.width + TOLERANCE &&
+			p[1] + dy >= box.y - TOLERANCE &&
+			p[1] + dy <= box.y + box.height + TOLERANCE
+		)
+	}
+	const start = shape.points.find(function (p) {
+		return inside(p, x, y)
+	})
+	const end =
+		start &&
+		shape.points.find(function (q) {
+			return isOffset(q[0] - start[0], x, 0) && isOffset(q[1] - start[1], y, 0)
+		})
+
+	if (!end) {
+		return false
+	}
+
+	const dx = end[0] - start[0]
+	const dy = end[1] - start[1]
+
+	return shape.points.every(function (p) {
+		return !inside(p, dx, dy) || hasPoint(shape.points, p[0] + dx, p[1] + dy)
+	})
+}
+
+function hasPoint(points, x, y) {
+	return points.some(function (p) {
+		return Math.abs(p[0] - x) <= TOLERANCE && Math.abs(p[1] - y) <= TOLERANCE
+	})
+}
+
+function isOffset(delta, size, slack) {
+	if (size === 0) {
+		return Math.abs(delta) <= TOLERANCE
+	}
+
+	return (
+		delta * size > 0 &&
+		Math.abs(delta) >= Math.abs(size) - TOLERANCE &&
+		Math.abs(delta) <= Math.abs(size) + slack + TOLERANCE
+	)
+}
+
+function paintKey(paint) {
+	if (paint.gradient || paint.pattern) {
+		return '#' + (paint.gradient || paint.pattern).attributes.id
+	}
+
+	return [paint.r, paint.g, paint.b, paint.a === undefined ? 1 : paint.a]
+}
+
+function pointsBounds(points) {
+	const xs = points.map(function (p) {
+		return p[0]
+	})
+	const ys = points.map(function (p) {
+		return p[1]
+	})
+	const x = Math.min.apply(null, xs)
+	const y = Math.min.apply(null, ys)
+
+	return { x: x, y: y, width: Math.max.apply(null, xs) - x, height: Math.max.apply(null, ys) - y }
+}
+
+function round(value) {
+	return Math.round(value * 100) / 100
+}
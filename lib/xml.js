@@ -1,3 +1,7 @@
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink'
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }
+
 export default class XMLNode {
 	constructor(tagName) {
 		if (!(this instanceof XMLNode)) {
@@ -17,31 +21,187 @@ export default class XMLNode {
 
 		return this
 	}
+	// Text is kept as strings among the children, and escaped when serialized
+	appendText(text) {
+		return this.appendChild(String(text))
+	}
+	appendComment(text) {
+		return this.appendChild(new XMLComment(text))
+	}
 	setAttribute(name, value) {
 		this.attributes[name] = value
 
 		return this
 	}
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.indent] - Indents nested elements on new lines
+	 * @param {string} [options.quote] - Quotes attribute values with `"` (default) or `'`
+	 * @returns {string}
+	 */
+	toString(options) {
+		const opts = { indent: '', quote: '"', ...options }
+
+		return serialize(this, opts.indent, opts.quote, 0)
+	}
+	/**
+	 * Plain data of the tree, where text is a string and a comment is `{ comment }`
+	 * @returns {{ tagName: string, attributes: Object, children: Array }}
+	 */
+	toJSON() {
+		const attributes = {}
+
+		Object.keys(this.attributes).forEach(function (name) {
+			attributes[name] = this.attributes[name]
+		}, this)
+
+		return {
+			tagName: this.tagName,
+			attributes: attributes,
+			children: this.children.map(function (child) {
+				return child instanceof XMLNode || child instanceof XMLComment ? child.toJSON() : String(child)
+			}),
+		}
+	}
+	/**
+	 * Rebuilds a tree from the data of `toJSON()`
+	 * @param {Object} data
+	 * @returns {XMLNode}
+	 */
+	static fromJSON(data) {
+		if (
+			!data ||
+			typeof data.tagName !== 'string' ||
+			typeof data.attributes !== 'object' ||
+			!Array.isArray(data.children)
+		) {
+			throw new TypeError('The element ' + JSON.stringify(data) + ' is not a valid XML element.')
+		}
+
+		const node = new XMLNode(data.tagName)
+
+		Object.keys(data.attributes).forEach(function (name) {
+			node.setAttribute(name, data.attributes[name])
+		})
+
+		data.children.forEach(function (child) {
+			if (typeof child === 'string') {
+				node.appendChild(child)
+			} else if (child && typeof child.comment === 'string') {
+				node.appendChild(new XMLComment(child.comment))
+			} else {
+				node.appendChild(XMLNode.fromJSON(child))
+			}
+		})
+
+		return node
+	}
+	/**
+	 * Creates the DOM elements of the tree, in the namespace given by the `xmlns` attributes
+	 * @param {Document} document - Any implementation of `createElementNS`, `createTextNode` and `createComment`
+	 * @returns {Element}
+	 */
+	toElement(document) {
+		return createNode(this, document, null)
+	}
+}
+
+export class XMLComment {
+	constructor(text) {
+		text = String(text)
+
+		// The content of a comment cannot be escaped
+		if (text.indexOf('--') !== -1 || text[text.length - 1] === '-') {
+			throw new TypeError('The comment "' + text + '" cannot contain "--" or end with "-".')
+		}
+
+		this.text = text
+	}
 	toString() {
-		var self = this
-
-		return [
-			'<',
-			self.tagName,
-			Object.keys(self.attributes)
-				.map(function (attr) {
-					return [' ', attr, '="', self.attributes[attr], '"'].join('')
-				})
-				.join(''),
-			'>',
-			self.children
-				.map(function (child) {
-					return child.toString()
-				})
-				.join(''),
-			'</',
-			self.tagName,
-			'>',
-		].join('')
+		return '<!--' + this.text + '-->'
+	}
+	toJSON() {
+		return { comment: this.text }
 	}
 }
+
+export function escapeText(text) {
+	return String(text).replace(/[&<>]/g, function (char) {
+		return ENTITIES[char]
+	})
+}
+
+export function escapeAttribute(value, quote) {
+	return String(value).replace(quote === "'" ? /[&<>']/g : /[&<>"]/g, function (char) {
+		return ENTITIES[char]
+	})
+}
+
+function createNode(node, document, namespace) {
+	if (node instanceof XMLComment) {
+		return document.createComment(node.text)
+	}
+
+	if (!(node instanceof XMLNode)) {
+		return document.createTextNode(String(node))
+	}
+
+	const ns = node.attributes.xmlns === undefined ? namespace : String(node.attributes.xmlns)
+	const element = document.createElementNS(ns, node.tagName)
+
+	Object.keys(node.attributes).forEach(function (name) {
+		// The namespace of the element is its xmlns attribute
+		if (name === 'xmlns') {
+			return
+		}
+
+		if (name.startsWith('xlink:')) {
+			element.setAttributeNS(XLINK_NAMESPACE, name, String(node.attributes[name]))
+		} else {
+			element.setAttribute(name, String(node.attributes[name]))
+		}
+	})
+
+	node.children.forEach(function (child) {
+		element.appendChild(createNode(child, document, ns))
+	})
+
+	return element
+}
+
+function serialize(node, indent, quote, depth) {
+	if (node instanceof XMLComment) {
+		return node.toString()
+	}
+
+	if (!(node instanceof XMLNode)) {
+		return escapeText(node)
+	}
+
+	const attributes = Object.keys(node.attributes)
+		.map(function (name) {
+			return ' ' + name + '=' + quote + escapeAttribute(node.attributes[name], quote) + quote
+		})
+		.join('')
+	// Whitespace around text would change it, so elements holding text stay on one line
+	const inline =
+		!indent ||
+		node.children.some(function (child) {
+			return !(child instanceof XMLNode || child instanceof XMLComment)
+		})
+	const children = node.children.map(function (child) {
+		return serialize(child, inline ? '' : indent, quote, depth + 1)
+	})
+	const content =
+		inline || children.length === 0
+			? children.join('')
+			: children
+					.map(function (child) {
+						return '\n' + indent.repeat(depth + 1) + child
+					})
+					.join('') +
+				'\n' +
+				indent.repeat(depth)
+
+	return '<' + node.tagName + attributes + '>' + content + '</' + node.tagName + '>'
+}
@@ -1,9 +1,18 @@
 'use strict'
 
 import fs from 'fs'
+import os from 'os'
 import path from 'path'
+import zlib from 'zlib'
 import assert from 'assert'
+import crypto from 'crypto'
+import { execFileSync } from 'child_process'
 import { parse } from 'svg-parser'
+import color from '../lib/color.js'
+import { base64 } from '../lib/encoding.js'
+import rasterize, { apply, multiply } from '../lib/raster.js'
+import XMLNode from '../lib/xml.js'
+import { PATTERNS } from '../lib/pattern.js'
 import * as GeoPattern from '../lib/index.js'
 
 const GENERATORS = [
@@ -21,11 +30,298 @@ const GENERATORS = [
 	'squares',
 	'tessellation',
 	'triangles',
+	'truchet',
 	'xes',
 ]
 
 const ASSET_DIR = 'tests/assets'
 
+function decodePng(png) {
+	const buffer = Buffer.from(png)
+	const idat = []
+	let offset = 8
+	let width, height
+
+	while (offset < buffer.length) {
+		const length = buffer.readUInt32BE(offset)
+		const type = buffer.toString('latin1', offset + 4, offset + 8)
+		const data = buffer.subarray(offset + 8, offset + 8 + length)
+
+		if (type === 'IHDR') {
+			width = data.readUInt32BE(0)
+			height = data.readUInt32BE(4)
+		} else if (type === 'IDAT') {
+			idat.push(data)
+		}
+		offset += length + 12
+	}
+
+	const raw = zlib.inflateSync(Buffer.concat(idat))
+	const pixel = function (x, y) {
+		const i = y * (width * 4 + 1) + 1 + x * 4
+		return Array.from(raw.subarray(i, i + 4))
+	}
+
+	return { width: width, height: height, pixel: pixel }
+}
+
+// Converts svg-parser output to the nodes of the SVG builder
+function toNode(element) {
+	return {
+		tagName: element.tagName,
+		attributes: element.properties,
+		children: element.children.map(function (child) {
+			return child.type === 'text' ? child.value : toNode(child)
+		}),
+	}
+}
+
+// Crops an <svg> node to the top left corner of its tile, where shapes wrap around
+function corner(root) {
+	return {
+		tagName: root.tagName,
+		attributes: Object.assign({}, root.attributes, { width: 48, height: 48 }),
+		children: root.children,
+	}
+}
+
+// Minimal DOM document recording the nodes it creates
+function mockDocument() {
+	return {
+		createElementNS: function (namespaceURI, tagName) {
+			return {
+				namespaceURI: namespaceURI,
+				tagName: tagName,
+				attributes: {},
+				childNodes: [],
+				setAttribute: function (name, value) {
+					this.attributes[name] = value
+				},
+				setAttributeNS: function (namespace, name, value) {
+					this.attributes[name] = value
+				},
+				appendChild: function (child) {
+					this.childNodes.push(child)
+				},
+			}
+		},
+		createTextNode: function (data) {
+			return { nodeType: 3, data: data }
+		},
+		createComment: function (data) {
+			return { nodeType: 8, data: data }
+		},
+	}
+}
+
+// Minimal 2D context logging the calls it receives, and its state when painting
+function mockContext() {
+	const calls = []
+	const ctx = { calls: calls, fillStyle: '#000', strokeStyle: '#000', globalAlpha: 1, lineWidth: 1 }
+
+	;['save', 'restore', 'translate', 'transform', 'beginPath', 'rect', 'moveTo', 'lineTo', 'bezierCurveTo']
+		.concat(['closePath', 'clip', 'fill', 'stroke'])
+		.forEach(function (method) {
+			ctx[method] = function () {
+				const call = { method: method, args: Array.from(arguments) }
+
+				if (method === 'fill' || method === 'stroke') {
+					call.style = this[method + 'Style']
+					call.alpha = this.globalAlpha
+				}
+				calls.push(call)
+			}
+		})
+	;['createLinearGradient', 'createRadialGradient'].forEach(function (method) {
+		ctx[method] = function () {
+			const gradient = {
+				method: method,
+				args: Array.from(arguments),
+				stops: [],
+				addColorStop: function (offset, color) {
+					this.stops.push([offset, color])
+				},
+			}
+
+			calls.push(gradient)
+			return gradient
+		}
+	})
+
+	return ctx
+}
+
+// Context recording what it paints as an SVG in device space, to rasterize it. Its canvas creates layers,
+// which are drawn as groups
+function svgContext(width, height, layer) {
+	const root = layer || new XMLNode('svg').setAttribute('width', width).setAttribute('height', height)
+	const stack = []
+	// Shapes are painted in the group of the last clip path of the state
+	let state = { matrix: [1, 0, 0, 1, 0, 0], globalAlpha: 1, target: root }
+	let d = ''
+	let clips = 0
+
+	function point(x, y) {
+		return apply(state.matrix, x, y).join(' ')
+	}
+
+	const ctx = {
+		fillStyle: '#000',
+		strokeStyle: '#000',
+		lineWidth: 1,
+		canvas: {
+			width: width,
+			height: height,
+			root: root,
+			ownerDocument: {
+				createElement: function () {
+					return svgContext(width, height, new XMLNode('g')).ctx.canvas
+				},
+			},
+		},
+		save: function () {
+			stack.push({ ...state })
+		},
+		restore: function () {
+			state = stack.pop()
+		},
+		translate: function (x, y) {
+			state.matrix = multiply(state.matrix, [1, 0, 0, 1, x, y])
+		},
+		transform: function (a, b, c, e, f, g) {
+			state.matrix = multiply(state.matrix, [a, b, c, e, f, g])
+		},
+		getTransform: function () {
+			const m = state.matrix
+			return { a: m[0], b: m[1], c: m[2], d: m[3], e: m[4], f: m[5] }
+		},
+		setTransform: function (a, b, c, e, f, g) {
+			state.matrix = typeof a === 'object' ? [a.a, a.b, a.c, a.d, a.e, a.f] : [a, b, c, e, f, g]
+		},
+		beginPath: function () {
+			d = ''
+		},
+		rect: function (x, y, w, h) {
+			d += 'M' + point(x, y) + 'L' + point(x + w, y) + 'L' + point(x + w, y + h) + 'L' + point(x, y + h) + 'Z'
+		},
+		moveTo: function (x, y) {
+			d += 'M' + point(x, y)
+		},
+		lineTo: function (x, y) {
+			d += 'L' + point(x, y)
+		},
+		bezierCurveTo: function (x1, y1, x2, y2, x, y) {
+			d += 'C' + point(x1, y1) + ' ' + point(x2, y2) + ' ' + point(x, y)
+		},
+		closePath: function () {
+			d += 'Z'
+		},
+		clip: function () {
+			const id = 'clip-' + clips++
+			const group = new XMLNode('g').setAttribute('clip-path', 'url(#' + id + ')')
+
+			root.appendChild(
+				new XMLNode('clipPath').setAttribute('id', id).appendChild(new XMLNode('path').setAttribute('d', d))
+			)
+			state.target.appendChild(group)
+			state.target = group
+		},
+		fill: function () {
+			state.target.appendChild(
+				new XMLNode('path')
+					.setAttribute('d', d)
+					.setAttribute('fill', this.fillStyle)
+					.setAttribute('fill-opacity', this.globalAlpha)
+			)
+		},
+		stroke: function () {
+			const m = state.matrix
+
+			state.target.appendChild(
+				new XMLNode('path')
+					.setAttribute('d', d)
+					.setAttribute('fill', 'none')
+					.setAttribute('stroke', this.strokeStyle)
+					.setAttribute('stroke-opacity', this.globalAlpha)
+					.setAttribute('stroke-width', this.lineWidth * Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2])))
+					.setAttribute('stroke-linecap', this.lineCap)
+					.setAttribute('stroke-linejoin', this.lineJoin)
+			)
+		},
+		// Layers are cleared before each use
+		clearRect: function () {
+			root.children = []
+			root.lastChild = null
+			state.target = root
+		},
+		drawImage: function (canvas) {
+			const group = new XMLNode('g').setAttribute('opacity', this.globalAlpha)
+
+			canvas.root.children.forEach(function (child) {
+				group.appendChild(child)
+			})
+			state.target.appendChild(group)
+		},
+	}
+
+	Object.defineProperty(ctx, 'globalAlpha', {
+		get: function () {
+			return state.globalAlpha
+		},
+		set: function (value) {
+			state.globalAlpha = value
+		},
+	})
+	ctx.canvas.getContext = function () {
+		return ctx
+	}
+
+	return { ctx: ctx, root: root }
+}
+
+// Renderer logging the drawing methods the generators call
+function mockRenderer() {
+	const renderer = { calls: [] }
+
+	;['setWidth', 'setHeight', 'rect', 'circle', 'path', 'polyline', 'group', 'end', 'transform']
+		.concat(['linearGradient', 'radialGradient'])
+		.forEach(function (method) {
+			renderer[method] = function () {
+				this.calls.push({ method: method, args: Array.from(arguments) })
+				return this
+			}
+		})
+
+	return renderer
+}
+
+// Number of calls of a method
+function countCalls(ctx, method) {
+	return ctx.calls.filter(function (call) {
+		return call.method === method
+	}).length
+}
+
+// Largest difference of a channel between two PNG images of the same size
+function maxDifference(a, b) {
+	const imageA = decodePng(a)
+	const imageB = decodePng(b)
+	let max = 0
+
+	assert.deepEqual([imageA.width, imageA.height], [imageB.width, imageB.height])
+	for (let y = 0; y < imageA.height; y++) {
+		for (let x = 0; x < imageA.width; x++) {
+			const pa = imageA.pixel(x, y)
+			const pb = imageB.pixel(x, y)
+			for (let i = 0; i < 4; i++) {
+				max = Math.max(max, Math.abs(pa[i] - pb[i]))
+			}
+		}
+	}
+
+	return max
+}
+
 describe('GeoPattern', function () {
 	describe('::generate()', function () {
 		it('should derive the color from the hash', function () {
@@ -36,6 +332,32 @@ describe('GeoPattern', function () {
 			it('should override the hash-derived color', function () {
 				assert.equal(GeoPattern.generate('', { color: '#ff7f00' }).color, '#ff7f00')
 			})
+
+			it('should accept any CSS color syntax', function () {
+				const colors = [
+					'#7d2329',
+					'#7D232980',
+					'rgb(125, 35, 41)',
+					'rgba(125 35 41 / 50%)',
+					'hsl(356deg 56.25% 31.37%)',
+					'hwb(356 13.7% 51%)',
+					'lab(29.2345% 39.3825 20.0664)',
+					'oklch(40.101% 0.12332 21.555)',
+				]
+
+				colors.forEach(function (value) {
+					assert.equal(GeoPattern.generate('', { color: value }).color, '#7d2329', value)
+				})
+				assert.equal(GeoPattern.generate('', { color: 'RebeccaPurple' }).color, '#663399')
+			})
+
+			it('should reject strings that are not colors', function () {
+				;['nope', '#12345', 'rgb(1, 2)', 'hsl(10%, 50%, 50%)', 'url(#a)'].forEach(function (value) {
+					assert.throws(function () {
+						GeoPattern.generate('', { color: value })
+					}, /is not a valid CSS color/)
+				})
+			})
 		})
 
 		it('should derive the pattern from the hash', function () {
@@ -52,7 +374,1676 @@ describe('GeoPattern', function () {
 					' stroke-width="10px" d="M0 48 C 35 0, 65 0, 100 48'
 				)
 			})
+
+			it('should lay Truchet tiles of quarter arcs or diagonals, turned by the hash', function () {
+				const svg = GeoPattern.generate('GitHub', { generator: 'truchet' }).toSvg()
+				const kinds = new Set()
+				// Turns of the tiles of every fill
+				const turns = new Map()
+
+				parse(svg)
+					.children[0].children.filter(function (node) {
+						return node.tagName === 'path'
+					})
+					.forEach(function (path) {
+						const fill = path.properties.fill + ' ' + path.properties['fill-opacity']
+						const turn = path.properties.transform.match(/rotate\((\d+),/)[1]
+
+						kinds.add(path.properties.d.includes(' A ') ? 'arc' : 'diagonal')
+						turns.set(fill, (turns.get(fill) || new Set()).add(turn))
+					})
+
+				// Every cell picks its own tile, and its turn does not follow its fill
+				assert.deepEqual(Array.from(kinds).sort(), ['arc', 'diagonal'])
+				assert.ok(
+					Array.from(turns.values()).some(function (turn) {
+						return turn.size === 2
+					})
+				)
+			})
+		})
+	})
+
+	describe('options.grid', function () {
+		function size(pattern) {
+			return pattern
+				.toSvg()
+				.match(/width="(\d+)" height="(\d+)"/)
+				.slice(1)
+				.map(Number)
+		}
+
+		it('should set the number of columns and rows', function () {
+			const pattern = GeoPattern.generate('squares', { generator: 'squares', grid: { columns: 10, rows: 3 } })
+
+			assert.deepEqual(size(pattern), [166, 50])
+			assert.equal(pattern.toSvg().match(/<rect/g).length, 31)
+		})
+
+		it('should keep the wrap-around copies on the new edges', function () {
+			const svg = GeoPattern.generate('GitHub', {
+				generator: 'overlappingCircles',
+				grid: { columns: 8, rows: 8 },
+			}).toSvg()
+
+			// 64 cells, 8 + 8 copies on the right and bottom edges and one in the corner
+			assert.equal(svg.match(/<circle/g).length, 81)
+			assert.ok(svg.includes('width="333" height="333"'))
+			assert.ok(svg.includes('cx="333.33333333333337" cy="333.33333333333337"'))
+		})
+
+		it('should lay a Truchet tile in every cell', function () {
+			const pattern = GeoPattern.generate('GitHub', { generator: 'truchet', grid: { columns: 4, rows: 3 } })
+
+			assert.equal(pattern.toSvg().match(/<path/g).length, 12)
+			assert.equal(pattern.tileWidth, Math.floor(pattern.params.cellSize * 4))
+		})
+
+		it('should derive the grid from a target tile size', function () {
+			const [width, height] = size(GeoPattern.generate('GitHub', { generator: 'hexagons', grid: { tileSize: 600 } }))
+
+			assert.ok(Math.abs(width - 600) < 80)
+			assert.ok(Math.abs(height - 600) < 80)
+		})
+
+		it('should reject grids that cannot tile', function () {
+			assert.throws(function () {
+				GeoPattern.generate('GitHub', { generator: 'hexagons', grid: { columns: 7 } })
+			}, /multiple of 2/)
+			assert.throws(function () {
+				GeoPattern.generate('GitHub', { generator: 'squares', grid: { rows: 1.5 } })
+			}, RangeError)
+		})
+	})
+
+	describe('options.colorSpace', function () {
+		it('should rotate the hue in HSL by default', function () {
+			assert.equal(GeoPattern.generate('GitHub', { colorSpace: 'hsl' }).color, '#455e8a')
+		})
+
+		it('should keep the perceived lightness of the base color in OKLCH', function () {
+			const base = color.rgb2oklch(color.hex2rgb('#933c3c'))
+			const hues = new Set()
+
+			for (let i = 0; i < 50; i++) {
+				const rgb = color.hex2rgb(GeoPattern.generate('seed' + i, { colorSpace: 'oklch' }).color)
+				const oklch = color.rgb2oklch(rgb)
+
+				assert.ok(Math.abs(oklch.l - base.l) < 0.01, 'lightness ' + oklch.l)
+				hues.add(Math.round(oklch.h * 12))
+			}
+			assert.ok(hues.size > 8)
+		})
+
+		it('should round-trip colors through OKLCH', function () {
+			;['#933c3c', '#455e8a', '#00ff00', '#ffffff', '#000000'].forEach(function (hex) {
+				assert.equal(color.rgb2hex(color.oklch2rgb(color.rgb2oklch(color.hex2rgb(hex)))), hex)
+			})
+		})
+
+		it('should reduce the chroma of colors outside of sRGB', function () {
+			const oklch = color.rgb2oklch(color.oklch2rgb({ l: 0.7, c: 0.4, h: 0.4 }))
+
+			assert.ok(Math.abs(oklch.l - 0.7) < 0.005)
+			assert.ok(Math.abs(oklch.h - 0.4) < 0.005)
+			assert.ok(oklch.c < 0.4)
+		})
+
+		it('should reject an unknown color space', function () {
+			assert.throws(function () {
+				GeoPattern.generate('GitHub', { colorSpace: 'cmyk' })
+			}, /color space cmyk does not exist/)
+		})
+	})
+
+	describe('options.background', function () {
+		before(function () {
+			GeoPattern.registerGenerator('blank', function (svg) {
+				svg.setWidth(120)
+				svg.setHeight(80)
+			})
+		})
+
+		after(function () {
+			GeoPattern.unregisterGenerator('blank')
+		})
+
+		// Largest difference of a channel between pixels across the edges of the tile
+		function seam(pattern) {
+			const png = decodePng(pattern.toPng())
+			let max = 0
+
+			for (let i = 0; i < 80; i++) {
+				const a = png.pixel(0, i)
+				const b = png.pixel(119, i)
+				max = Math.max(max, Math.abs(a[0] - b[0]), Math.abs(a[1] - b[1]), Math.abs(a[2] - b[2]))
+			}
+			for (let i = 0; i < 120; i++) {
+				const a = png.pixel(i, 0)
+				const b = png.pixel(i, 79)
+				max = Math.max(max, Math.abs(a[0] - b[0]), Math.abs(a[1] - b[1]), Math.abs(a[2] - b[2]))
+			}
+			return max
+		}
+
+		it('should fill the tile with a gradient to a hue-shifted color', function () {
+			const pattern = GeoPattern.generate('GitHub', { background: 'linear' })
+			const tree = parse(pattern.toSvg())
+			const defs = tree.children[0].children[0]
+
+			assert.equal(defs.tagName, 'defs')
+			assert.equal(defs.children[0].tagName, 'linearGradient')
+			assert.equal(defs.children[0].properties.spreadMethod, 'repeat')
+			assert.equal(tree.children[0].children[1].properties.fill, 'url(#' + defs.children[0].properties.id + ')')
+			assert.equal(pattern.color, '#455e8a')
+			assert.notEqual(defs.children[0].children[1].properties['stop-color'], 'rgb(69,94,138)')
+		})
+
+		it('should repeat seamlessly', function () {
+			;['linear', 'radial', 'mesh-like'].forEach(function (background) {
+				for (let i = 0; i < 8; i++) {
+					const pattern = GeoPattern.generate('seed' + i, { background: background, generator: 'blank' })
+					assert.ok(seam(pattern) <= 6, background + ' seed' + i)
+				}
+			})
+		})
+
+		it('should derive the gradient from the hash', function () {
+			const a = GeoPattern.generate('GitHub', { background: 'mesh-like', color: '#455e8a' }).toSvg()
+			const b = GeoPattern.generate('GitLab', { background: 'mesh-like', color: '#455e8a' }).toSvg()
+
+			assert.notEqual(a.match(/<rect fill="url[^>]*>/g).join(), b.match(/<rect fill="url[^>]*>/g).join())
+		})
+
+		it('should reject an unknown background', function () {
+			assert.throws(function () {
+				GeoPattern.generate('GitHub', { background: 'conic' })
+			}, /background conic does not exist/)
+		})
+	})
+
+	describe('options.animate', function () {
+		it('should drift the tile by its width with a seamless copy', function () {
+			const svg = GeoPattern.generate('GitHub', { generator: 'sineWaves', animate: true }).toSvg()
+			const [width, height] = svg.match(/width="(\d+)" height="(\d+)"/).slice(1)
+
+			assert.ok(svg.includes('<use x="' + width + '" y="0" href="#'))
+			assert.ok(
+				svg.includes(
+					'<clipPath id="geopattern-5442e2b6-455e8a-clip"><rect x="0" y="0" width="' +
+						width +
+						'" height="' +
+						height +
+						'">'
+				)
+			)
+			assert.ok(svg.includes('8s linear infinite'))
+			assert.ok(svg.includes('transform:translate(-' + width + 'px,0px)'))
+		})
+
+		it('should scroll chevrons by the tile height', function () {
+			const svg = GeoPattern.generate('GitHub', { generator: 'chevrons', animate: { duration: 3 } }).toSvg()
+			const height = svg.match(/height="(\d+)"/)[1]
+
+			assert.ok(svg.includes('<use x="0" y="' + height + '" href="#'))
+			assert.ok(svg.includes('3s linear infinite'))
+			assert.ok(svg.includes('transform:translate(0px,-' + height + 'px)'))
+		})
+
+		it('should pulse shapes in phase with their copies across the edges', function () {
+			const svg = GeoPattern.generate('GitHub', { generator: 'overlappingCircles', animate: true }).toSvg()
+			const pulses = svg.match(/<g class="[^"]*-pulse" style="animation-delay:[^"]*"><circle[^>]*>/g)
+			const delays = new Map()
+
+			assert.equal(pulses.length, svg.match(/<circle/g).length)
+			pulses.forEach(function (pulse) {
+				const opacity = pulse.match(/ (?:fill-)?opacity="([^"]*)"/)[1]
+				const delay = pulse.match(/animation-delay:([^"]*)s/)[1]
+
+				assert.equal(delays.get(opacity) || delay, delay)
+				delays.set(opacity, delay)
+			})
+			assert.ok(new Set(delays.values()).size > 1)
+		})
+
+		it('should only move when motion is not reduced', function () {
+			const svg = GeoPattern.generate('GitHub', { generator: 'hexagons', animate: true }).toSvg()
+
+			assert.ok(/<style>@media \(prefers-reduced-motion:no-preference\)\{[^<]*@keyframes[^<]*\}<\/style>/.test(svg))
+		})
+
+		it('should render the first frame like the still pattern', function () {
+			;['sineWaves', 'chevrons', 'hexagons'].forEach(function (generator) {
+				const still = GeoPattern.generate('GitHub', { generator: generator }).toPng()
+				const animated = GeoPattern.generate('GitHub', { generator: generator, animate: true }).toPng()
+
+				// Clipping composites the shapes separately, which may round channels differently
+				assert.ok(maxDifference(still, animated) <= 1, generator)
+			})
+		})
+
+		it('should reject invalid durations', function () {
+			;[0, -1, Infinity, 'fast'].forEach(function (duration) {
+				assert.throws(function () {
+					GeoPattern.generate('GitHub', { animate: { duration: duration } })
+				}, RangeError)
+			})
+			assert.throws(function () {
+				GeoPattern.generate('GitHub', { animate: 'yes' })
+			}, TypeError)
+		})
+	})
+
+	describe('options.palette', function () {
+		function fills(pattern) {
+			return new Set(
+				pattern
+					.toSvg()
+					.match(/<polyline fill="#[0-9a-f]+"/g)
+					.map(function (match) {
+						return match.slice(16, -1)
+					})
+			)
+		}
+
+		it('should keep the dark and light overlays by default', function () {
+			assert.deepEqual(GeoPattern.generate('GitHub').palette, ['#ddd', '#222'])
+		})
+
+		it('should derive the colors from the background', function () {
+			const pattern = GeoPattern.generate('GitHub', { palette: 'triadic', generator: 'hexagons' })
+
+			assert.deepEqual(pattern.palette, ['#ccd5e6', '#1a2333', '#e6ccd5', '#331a23', '#d5e6cc', '#23331a'])
+			assert.equal(fills(pattern).size, 6)
+			assert.equal(GeoPattern.generate('GitHub', { palette: 'complementary' }).palette.length, 4)
+			assert.equal(GeoPattern.generate('GitHub', { palette: 'analogous' }).palette.length, 6)
+		})
+
+		it('should distribute a list of colors across the shapes', function () {
+			const pattern = GeoPattern.generate('GitHub', { palette: ['#f00', '#00ff00', '#00F'], generator: 'hexagons' })
+
+			assert.deepEqual(Array.from(fills(pattern)).sort(), ['#0000ff', '#00ff00', '#ff0000'])
+		})
+
+		it('should reject unknown palettes and invalid colors', function () {
+			assert.throws(function () {
+				GeoPattern.generate('GitHub', { palette: 'tetradic' })
+			}, /palette tetradic does not exist/)
+			assert.throws(function () {
+				GeoPattern.generate('GitHub', { palette: ['#f00', 'nope'] })
+			}, TypeError)
+		})
+	})
+
+	describe('options.params', function () {
+		it('should pin a parameter and derive the others from the hash', function () {
+			const pattern = GeoPattern.generate('GitHub', { generator: 'sineWaves', params: { amplitude: 40 } })
+
+			assert.deepEqual(pattern.params, { period: 200, amplitude: 40, waveWidth: 10 })
+			assert.equal(pattern.tileWidth, 200)
+			assert.ok(pattern.toSvg().includes('M0 40 C 35'))
+		})
+
+		it('should size the tile after the pinned parameter', function () {
+			const pattern = GeoPattern.generate('GitHub', { generator: 'squares', params: { squareSize: 20 } })
+
+			assert.equal(pattern.tileWidth, 120)
+			assert.equal(pattern.tileHeight, 120)
+		})
+
+		it('should reproduce a pattern from its parameters', function () {
+			// The stripes of plaid are not parameters, they follow every digit of the hash
+			GENERATORS.filter(function (generator) {
+				return generator !== 'plaid'
+			}).forEach(function (generator) {
+				const pattern = GeoPattern.generate('GitHub', { generator: generator })
+				const pinned = GeoPattern.generate('GitLab', { generator: generator, params: pattern.params })
+
+				assert.deepEqual(pinned.params, pattern.params)
+				assert.equal(pinned.tileWidth, pattern.tileWidth, generator)
+				assert.equal(pinned.tileHeight, pattern.tileHeight, generator)
+			})
+		})
+
+		it('should pass them to custom generators', function () {
+			let received
+
+			GeoPattern.registerGenerator('stripes', function (svg, hash, helpers) {
+				svg.setWidth(10)
+				svg.setHeight(10)
+				received = helpers.params
+			})
+
+			try {
+				GeoPattern.generate('GitHub', { generator: 'stripes', params: { count: 3 } })
+				assert.deepEqual(received, { count: 3 })
+			} finally {
+				GeoPattern.unregisterGenerator('stripes')
+			}
+		})
+
+		it('should reject unknown parameters', function () {
+			assert.throws(function () {
+				GeoPattern.generate('GitHub', { generator: 'hexagons', params: { amplitude: 40 } })
+			}, /parameter amplitude does not exist for the generator hexagons/)
+		})
+
+		it('should reject values out of range', function () {
+			;[0, 500, '40', NaN].forEach(function (amplitude) {
+				assert.throws(function () {
+					GeoPattern.generate('GitHub', { generator: 'sineWaves', params: { amplitude: amplitude } })
+				}, /amplitude must be a number from 30 to 100/)
+			})
+		})
+	})
+
+	describe('options.hashAlgorithm', function () {
+		it('should hash the UTF-8 bytes with SHA-256', function () {
+			const seed = 'Grüße 👋'
+			const digest = crypto.createHash('sha256').update(seed).digest('hex')
+
+			assert.equal(GeoPattern.generate(seed, { hashAlgorithm: 'sha256' }).hash, digest)
+		})
+
+		it('should hash with FNV-1a to 40 hexadecimal digits', function () {
+			const hash = GeoPattern.generate('GitHub', { hashAlgorithm: 'fnv1a' }).hash
+
+			assert.equal(hash, '2971d24780e2dc036c5ffcd9e0fcd672bc81400f')
+			assert.notEqual(GeoPattern.generate('GitHuc', { hashAlgorithm: 'fnv1a' }).hash.slice(0, 22), hash.slice(0, 22))
+		})
+
+		it('should accept a hash function', function () {
+			const pattern = GeoPattern.generate('GitHub', {
+				hashAlgorithm: function (string) {
+					return crypto.createHash('md5').update(string).digest('hex')
+				},
+			})
+
+			assert.equal(pattern.hash.length, 32)
+		})
+
+		it('should reject an unknown algorithm', function () {
+			assert.throws(function () {
+				GeoPattern.generate('GitHub', { hashAlgorithm: 'md5' })
+			}, /hash algorithm md5 does not exist/)
+		})
+	})
+
+	describe('options.hash', function () {
+		it('should be used instead of hashing the string', function () {
+			const hash = crypto.createHash('sha1').update('GitHub').digest('hex')
+
+			assert.equal(GeoPattern.generate('ignored', { hash: hash }).toSvg(), GeoPattern.generate('GitHub').toSvg())
+		})
+
+		it('should accept digests shorter than SHA-1, such as MD5', function () {
+			const hash = crypto.createHash('md5').update('GitHub').digest('hex')
+			const pattern = GeoPattern.generate('ignored', { hash: hash })
+
+			assert.equal(pattern.hash, hash)
+			assert.equal(pattern.toSvg(), GeoPattern.generate('other', { hash: hash }).toSvg())
+		})
+
+		it('should reject hashes that are too short or not hexadecimal', function () {
+			assert.throws(function () {
+				GeoPattern.generate('GitHub', { hash: 'abc123' })
+			}, TypeError)
+			assert.throws(function () {
+				GeoPattern.generate('GitHub', { hash: 'a'.repeat(27) })
+			}, /at least 28 hexadecimal digits/)
+			assert.throws(function () {
+				GeoPattern.generate('GitHub', { hash: 'z'.repeat(40) })
+			}, TypeError)
+		})
+	})
+
+	describe('#generator, #tileWidth, #tileHeight and #params', function () {
+		it('should expose the generator picked by the hash', function () {
+			const pattern = GeoPattern.generate('GitHub')
+
+			assert.equal(pattern.generator, 'squares')
+			assert.equal(GeoPattern.generate('GitHub', { generator: 'xes' }).generator, 'xes')
+		})
+
+		it('should only draw truchet when it is named', function () {
+			for (let i = 0; i < 200; i++) {
+				assert.notEqual(GeoPattern.generate('seed ' + i).generator, 'truchet')
+			}
+		})
+
+		it('should expose the size of the tile', function () {
+			GENERATORS.forEach(function (generator) {
+				const pattern = GeoPattern.generate('GitHub', { generator: generator })
+				const svg = parse(pattern.toSvg()).children[0]
+
+				assert.equal(pattern.tileWidth, svg.properties.width)
+				assert.equal(pattern.tileHeight, svg.properties.height)
+			})
+		})
+
+		it('should expose the hash-derived parameters', function () {
+			assert.deepEqual(GeoPattern.generate('GitHub', { generator: 'sineWaves' }).params, {
+				period: 200,
+				amplitude: 48,
+				waveWidth: 10,
+			})
+			assert.deepEqual(GeoPattern.generate('GitHub', { generator: 'diamonds' }).params, {
+				diamondWidth: map(hexVal(0), 10, 50),
+				diamondHeight: map(hexVal(1), 10, 50),
+			})
+			GENERATORS.forEach(function (generator) {
+				const params = GeoPattern.generate('GitHub', { generator: generator, animate: true }).params
+
+				assert.equal(typeof params, 'object', generator)
+				Object.keys(params).forEach(function (name) {
+					assert.ok(params[name] > 0, generator + ' ' + name)
+				})
+			})
+
+			function hexVal(index) {
+				return parseInt(GeoPattern.generate('GitHub').hash[index], 16)
+			}
+
+			function map(value, min, max) {
+				return (value * (max - min)) / 15 + min
+			}
+		})
+
+		it('should keep the parameters returned by custom generators', function () {
+			GeoPattern.registerGenerator('stripes', function (svg, hash, helpers) {
+				svg.setWidth(60)
+				svg.setHeight(40)
+				return { count: helpers.hexVal(hash, 0) }
+			})
+
+			try {
+				const pattern = GeoPattern.generate('GitHub', { generator: 'stripes' })
+
+				assert.deepEqual(pattern.params, { count: parseInt(pattern.hash[0], 16) })
+				assert.deepEqual([pattern.tileWidth, pattern.tileHeight], [60, 40])
+				assert.deepEqual(GeoPattern.fromJSON(JSON.stringify(pattern)).params, pattern.params)
+			} finally {
+				GeoPattern.unregisterGenerator('stripes')
+			}
+		})
+	})
+
+	describe('#textColor', function () {
+		it('should pick the most readable of black and white', function () {
+			assert.equal(GeoPattern.generate('GitHub').textColor, '#ffffff')
+			assert.equal(GeoPattern.generate('GitHub', { color: '#ffffe0' }).textColor, '#000000')
+			assert.equal(GeoPattern.generate('GitHub', { color: '#808080', palette: ['#fff'] }).textColor, '#000000')
+		})
+	})
+
+	describe('#contrast()', function () {
+		it('should compute the WCAG ratio over the mean color of the pattern', function () {
+			const pattern = GeoPattern.generate('GitHub')
+			const background = color.contrastRatio(color.hex2rgb('#ffffff'), color.hex2rgb(pattern.color))
+
+			assert.equal(pattern.contrast('#000'), pattern.contrast('black'))
+			assert.ok(Math.abs(pattern.contrast('#fff') * pattern.contrast('#000') - 21) < 1)
+			// The light and dark overlays only shift the background slightly
+			assert.ok(Math.abs(pattern.contrast('#fff') - background) < 0.5)
+		})
+
+		it('should compute the APCA lightness contrast', function () {
+			const pattern = GeoPattern.generate('GitHub', { color: '#fff', palette: ['#fff'] })
+
+			// The faint strokes keep the pattern from being pure white
+			assert.ok(Math.abs(pattern.contrast('#000', 'apca') - 106) < 2)
+			assert.equal(Math.round(color.apcaContrast(color.hex2rgb('#888'), color.hex2rgb('#fff'))), 63)
+			assert.equal(
+				GeoPattern.generate('GitHub', { color: '#000', palette: ['#000'] }).contrast('#fff', 'apca') < -100,
+				true
+			)
+		})
+
+		it('should blend translucent text colors over the pattern', function () {
+			const pattern = GeoPattern.generate('GitHub', { color: '#fff', palette: ['#fff'] })
+
+			assert.equal(pattern.contrast('rgb(0 0 0 / 0)'), 1)
+			assert.ok(pattern.contrast('rgb(0 0 0 / 50%)') < pattern.contrast('#000'))
+		})
+
+		it('should reject an unknown algorithm', function () {
+			assert.throws(function () {
+				GeoPattern.generate('GitHub').contrast('#fff', 'michelson')
+			}, /contrast algorithm michelson does not exist/)
+		})
+	})
+
+	describe('#toSvg({ optimize })', function () {
+		it('should leave the SVG untouched by default', function () {
+			const pattern = GeoPattern.generate('GitHub')
+
+			assert.equal(pattern.toSvg({ optimize: false }), pattern.toSvg())
+		})
+
+		it('should round numbers to the precision', function () {
+			const pattern = GeoPattern.generate('GitHub', { generator: 'triangles' })
+
+			assert.ok(/\d\.\d{4,}/.test(pattern.toSvg()))
+			assert.ok(!/\d\.\d{4,}/.test(pattern.toSvg({ optimize: true })))
+			assert.ok(!/\d\.\d{2,}/.test(pattern.toSvg({ optimize: { precision: 1 } })))
+		})
+
+		it('should draw repeated shapes with <use>', function () {
+			const pattern = GeoPattern.generate('GitHub', { generator: 'hexagons' })
+			const svg = pattern.toSvg({ optimize: true })
+
+			assert.equal(svg.match(/<polyline/g).length, 1)
+			assert.equal(svg.match(/<use href="#gp[\da-f]{8}-0"/g).length, pattern.toSvg().match(/<polyline/g).length)
+		})
+
+		it('should move repeated styles to classes', function () {
+			const svg = GeoPattern.generate('GitHub', { generator: 'squares' }).toSvg({ optimize: true })
+			const style = svg.match(/<style>(.*?)<\/style>/)[1]
+
+			assert.ok(
+				/^(\.gp[\da-f]{8}-s\d+\{fill:#(222|ddd);fill-opacity:[\d.]+;stroke:#000;stroke-opacity:0.02\})+$/.test(style)
+			)
+			assert.ok(!/<rect[^>]*fill-opacity[^>]*class=/.test(svg))
+		})
+
+		it('should render the same', function () {
+			GENERATORS.forEach(function (generator) {
+				const pattern = GeoPattern.generate('GitHub', { generator: generator })
+				const optimized = parse(pattern.toSvg({ optimize: true })).children[0]
+				const expected = rasterize(corner(pattern.svg.svg)).data
+				const actual = rasterize(corner(toNode(optimized))).data
+
+				assert.equal(actual.length, expected.length)
+				for (let i = 0; i < actual.length; i++) {
+					assert.ok(Math.abs(actual[i] - expected[i]) <= 1, generator)
+				}
+			})
+		})
+
+		it('should apply to the other outputs', function () {
+			const pattern = GeoPattern.generate('GitHub')
+			const base64 = Buffer.from(pattern.toSvg({ optimize: true })).toString('base64')
+
+			assert.equal(pattern.toBase64({ optimize: true }), base64)
+			assert.equal(pattern.toDataUrl({ optimize: true }), 'url("data:image/svg+xml;base64,' + base64 + '")')
+		})
+
+		it('should reject invalid precisions', function () {
+			;[-1, 1.5, 21].forEach(function (precision) {
+				assert.throws(function () {
+					GeoPattern.generate('GitHub').toSvg({ optimize: { precision: precision } })
+				}, RangeError)
+			})
+		})
+	})
+
+	describe('#toSvg({ width, height })', function () {
+		// Renders the SVG and the tile, and compares the SVG to the tile repeated from x, y
+		function assertTiled(pattern, options, x, y) {
+			const root = parse(pattern.toSvg(options)).children[0]
+			const image = rasterize(toNode(root))
+			const tile = rasterize(pattern.svg.svg)
+
+			assert.deepEqual([image.width, image.height], [options.width, options.height])
+			for (let py = 0; py < image.height; py++) {
+				for (let px = 0; px < image.width; px++) {
+					const tx = (((px - x) % tile.width) + tile.width) % tile.width
+					const ty = (((py - y) % tile.height) + tile.height) % tile.height
+
+					for (let k = 0; k < 4; k++) {
+						assert.equal(image.data[(py * image.width + px) * 4 + k], tile.data[(ty * tile.width + tx) * 4 + k])
+					}
+				}
+			}
+		}
+
+		it('should fill the size with the tile', function () {
+			const pattern = GeoPattern.generate('GitHub', { background: 'mesh-like' })
+			const root = parse(pattern.toSvg({ width: 300, height: 200 })).children[0]
+
+			assert.deepEqual([root.properties.width, root.properties.height], [300, 200])
+			assert.equal(root.children[0].children[0].tagName, 'pattern')
+			assertTiled(pattern, { width: 300, height: 200 }, 0, 0)
 		})
+
+		it('should default to the size of the tile', function () {
+			const pattern = GeoPattern.generate('GitHub')
+			const root = parse(pattern.toSvg({ width: 500 })).children[0]
+
+			assert.deepEqual([root.properties.width, root.properties.height], [500, pattern.tileHeight])
+		})
+
+		it('should move the tiles by the offset', function () {
+			const pattern = GeoPattern.generate('GitHub', { generator: 'hexagons' })
+
+			assertTiled(pattern, { width: 240, height: 120, offset: { x: 10, y: -7 } }, 10, -7)
+		})
+
+		it('should align a tile on the requested point', function () {
+			const pattern = GeoPattern.generate('GitHub', { generator: 'sineWaves' })
+
+			assertTiled(pattern, { width: 250, height: 100, align: 'xMidYMax' }, 25, -260)
+			assertTiled(pattern, { width: 250, height: 100, align: 'xMaxYMid', offset: { x: 5 } }, 55, -130)
+		})
+
+		it('should apply to the other outputs', function () {
+			const pattern = GeoPattern.generate('GitHub')
+			const options = { width: 1200, height: 630, title: 'GitHub' }
+
+			assert.equal(pattern.toBase64(options), base64(pattern.toSvg(options)))
+			assert.ok(pattern.toSvg({ ...options, optimize: true }).length < pattern.toSvg(options).length)
+			assert.equal(pattern.toElement(mockDocument(), options).attributes.width, '1200')
+		})
+
+		it('should reject invalid sizes and alignments', function () {
+			const pattern = GeoPattern.generate('GitHub')
+
+			assert.throws(function () {
+				pattern.toSvg({ width: 0 })
+			}, /width must be a positive number/)
+			assert.throws(function () {
+				pattern.toSvg({ height: '100' })
+			}, RangeError)
+			assert.throws(function () {
+				pattern.toSvg({ width: 100, align: 'center' })
+			}, /alignment center does not exist/)
+			assert.throws(function () {
+				pattern.toSvg({ width: 100, offset: { x: 'left' } })
+			}, TypeError)
+		})
+	})
+
+	describe('#toSvg() markup', function () {
+		afterEach(function () {
+			GeoPattern.unregisterGenerator('labelled')
+		})
+
+		it('should escape attribute values', function () {
+			GeoPattern.registerGenerator('labelled', function (svg) {
+				svg.setWidth(10)
+				svg.setHeight(10)
+				svg.group({ 'data-label': '"/><script>alert(1)</script><g a="&' }).rect(0, 0, 10, 10).end()
+			})
+
+			const svg = GeoPattern.generate('GitHub', { generator: 'labelled' }).toSvg()
+			const group = parse(svg).children[0].children[1]
+
+			assert.ok(!/<script/.test(svg))
+			assert.equal(
+				group.properties['data-label'],
+				'&quot;/&gt;&lt;script&gt;alert(1)&lt;/script&gt;&lt;g a=&quot;&amp;'
+			)
+			assert.equal(group.children.length, 1)
+		})
+
+		it('should escape text and write comments', function () {
+			const node = new XMLNode('desc').appendText('1 < 2 & 3 > 2').appendComment(' note ')
+
+			assert.equal(node.toString(), '<desc>1 &lt; 2 &amp; 3 &gt; 2<!-- note --></desc>')
+			assert.equal(
+				new XMLNode('g').setAttribute('aria-label', 'It\'s "red"').toString({ quote: "'" }),
+				'<g aria-label=\'It&apos;s "red"\'></g>'
+			)
+			assert.throws(function () {
+				new XMLNode('g').appendComment('a -- b')
+			}, TypeError)
+		})
+
+		it('should add an accessible title and description', function () {
+			const pattern = GeoPattern.generate('GitHub')
+			const root = parse(pattern.toSvg({ title: 'GitHub & co', description: 'A pattern' })).children[0]
+
+			assert.equal(root.properties.role, 'img')
+			assert.equal(root.properties['aria-label'], 'GitHub &amp; co')
+			assert.deepEqual(
+				root.children.slice(0, 2).map(function (child) {
+					return [child.tagName, child.children[0].value]
+				}),
+				[
+					['title', 'GitHub &amp; co'],
+					['desc', 'A pattern'],
+				]
+			)
+			assert.equal(root.children.length, parse(pattern.toSvg()).children[0].children.length + 2)
+			assert.ok(!/role=/.test(pattern.toSvg()))
+		})
+
+		it('should start with an XML declaration', function () {
+			const svg = GeoPattern.generate('GitHub').toSvg({ declaration: true })
+
+			assert.equal(svg, '<?xml version="1.0" encoding="UTF-8"?>' + GeoPattern.generate('GitHub').toSvg())
+		})
+
+		it('should indent nested elements', function () {
+			const pattern = GeoPattern.generate('GitHub', { generator: 'squares', animate: true })
+			const pretty = pattern.toSvg({ pretty: true, title: 'GitHub' })
+			const spaces = pattern.toSvg({ pretty: '  ' })
+
+			assert.ok(/\n\t<title>GitHub<\/title>\n\t<defs>\n\t\t<style>/.test(pretty))
+			assert.ok(/\n    <g /.test(spaces))
+			assert.equal(spaces.replace(/>\s+</g, '><'), pattern.toSvg())
+		})
+
+		it('should reject invalid options', function () {
+			const pattern = GeoPattern.generate('GitHub')
+
+			assert.throws(function () {
+				pattern.toSvg({ title: 42 })
+			}, /title must be a string/)
+			assert.throws(function () {
+				pattern.toSvg({ pretty: 'x' })
+			}, TypeError)
+		})
+	})
+
+	describe('#toDataUri()', function () {
+		it('should encode any character in base64', function () {
+			;['', 'a', 'ab', 'abc', 'abcd', 'é', '日本語', '🙂 <svg>'].forEach(function (string) {
+				assert.equal(base64(string), Buffer.from(string).toString('base64'))
+			})
+
+			const pattern = GeoPattern.generate('GitHub')
+			const svg = pattern.toSvg({ title: 'Motif géométrique 🙂' })
+
+			assert.equal(Buffer.from(pattern.toBase64({ title: 'Motif géométrique 🙂' }), 'base64').toString(), svg)
+		})
+
+		it('should not need Buffer', function () {
+			const pattern = GeoPattern.generate('GitHub')
+			const expected = pattern.toBase64()
+			const buffer = globalThis.Buffer
+
+			delete globalThis.Buffer
+			try {
+				assert.equal(pattern.toBase64(), expected)
+			} finally {
+				globalThis.Buffer = buffer
+			}
+		})
+
+		it('should percent-encode the SVG with the url encoding', function () {
+			const pattern = GeoPattern.generate('GitHub', { generator: 'squares' })
+			const uri = pattern.toDataUri({ encoding: 'url', title: '#1 100% 🙂' })
+			const data = uri.slice('data:image/svg+xml,'.length)
+
+			assert.ok(uri.startsWith('data:image/svg+xml,<svg '))
+			assert.ok(!/[#"\s\\]|%(?![\dA-F]{2})/.test(data.replace(/ /g, '')))
+			assert.deepEqual(parse(decodeURIComponent(data)), parse(pattern.toSvg({ title: '#1 100% 🙂' })))
+			assert.ok(pattern.toDataUri({ encoding: 'url' }).length < pattern.toDataUri().length * 0.8)
+		})
+
+		it('should encode lone surrogates like base64', function () {
+			const pattern = GeoPattern.generate('GitHub', { generator: 'squares' })
+			const uri = pattern.toDataUri({ encoding: 'url', title: 'a\uD800b' })
+			const svg = Buffer.from(pattern.toBase64({ title: 'a\uD800b' }), 'base64').toString()
+
+			assert.ok(uri.includes('a%EF%BF%BDb'))
+			assert.deepEqual(parse(decodeURIComponent(uri.slice('data:image/svg+xml,'.length))), parse(svg))
+		})
+
+		it('should apply to data URLs', function () {
+			const pattern = GeoPattern.generate('GitHub')
+
+			assert.equal(pattern.toDataUrl({ encoding: 'url' }), 'url("' + pattern.toDataUri({ encoding: 'url' }) + '")')
+		})
+
+		it('should reject unknown encodings', function () {
+			assert.throws(function () {
+				GeoPattern.generate('GitHub').toDataUri({ encoding: 'hex' })
+			}, /encoding hex does not exist/)
+		})
+	})
+
+	describe('#toElement()', function () {
+		// Same shape as toNode(), from the mock elements
+		function fromElement(element) {
+			return {
+				tagName: element.tagName,
+				attributes: element.attributes,
+				children: element.childNodes.map(function (child) {
+					return child.nodeType === 3 ? child.data : fromElement(child)
+				}),
+			}
+		}
+
+		it('should create the elements of the SVG', function () {
+			const pattern = GeoPattern.generate('GitHub', { background: 'mesh-like', animate: true })
+			const element = pattern.toElement(mockDocument())
+			const expected = toNode(parse(pattern.toSvg()).children[0])
+
+			delete expected.attributes.xmlns
+			assert.deepEqual(fromElement(element), expected)
+		})
+
+		it('should create them in the SVG namespace', function () {
+			const element = GeoPattern.generate('GitHub').toElement(mockDocument())
+
+			assert.equal(element.namespaceURI, 'http://www.w3.org/2000/svg')
+			assert.equal(element.childNodes[0].namespaceURI, 'http://www.w3.org/2000/svg')
+		})
+
+		it('should take the output options', function () {
+			const element = GeoPattern.generate('GitHub').toElement(mockDocument(), { title: 'GitHub' })
+
+			assert.equal(element.attributes['aria-label'], 'GitHub')
+			assert.equal(element.childNodes[0].tagName, 'title')
+			assert.deepEqual(element.childNodes[0].childNodes, [{ nodeType: 3, data: 'GitHub' }])
+		})
+
+		it('should need a document outside of the browser', function () {
+			assert.throws(function () {
+				GeoPattern.generate('GitHub').toElement()
+			}, TypeError)
+		})
+	})
+
+	describe('#toJSON()', function () {
+		it('should describe the pattern as plain data', function () {
+			const pattern = GeoPattern.generate('GitHub', {
+				palette: 'triadic',
+				hashAlgorithm: function (string) {
+					return crypto.createHash('sha1').update(string).digest('hex')
+				},
+			})
+			const json = pattern.toJSON()
+
+			assert.equal(json.hash, pattern.hash)
+			assert.equal(json.generator, pattern.generator)
+			assert.equal(json.color, pattern.color)
+			assert.deepEqual(json.palette, pattern.palette)
+			assert.equal(json.options.palette, 'triadic')
+			assert.ok(!('hashAlgorithm' in json.options))
+			assert.deepEqual(JSON.parse(JSON.stringify(json)), json)
+		})
+
+		it('should restore an identical pattern', function () {
+			;[
+				{},
+				{ generator: 'sineWaves', animate: true },
+				{ generator: 'hexagons', background: 'mesh-like', palette: ['red', 'blue'] },
+			].forEach(function (options) {
+				const pattern = GeoPattern.generate('GitHub', options)
+				const restored = GeoPattern.fromJSON(JSON.stringify(pattern))
+
+				assert.equal(restored.toSvg(), pattern.toSvg())
+				assert.equal(restored.toSvg({ optimize: true }), pattern.toSvg({ optimize: true }))
+				assert.equal(restored.generator, pattern.generator)
+				assert.equal(restored.color, pattern.color)
+				assert.deepEqual(restored.palette, pattern.palette)
+				assert.equal(restored.textColor, pattern.textColor)
+			})
+		})
+
+		it('should leave out undefined options', function () {
+			const pattern = GeoPattern.generate('GitHub', { color: undefined, generator: 'xes' })
+			const json = pattern.toJSON()
+
+			assert.ok(!('color' in json.options))
+			assert.equal(json.options.generator, 'xes')
+			assert.equal(GeoPattern.fromJSON(json).toSvg(), pattern.toSvg())
+		})
+
+		it('should name the missing fields of incomplete descriptors', function () {
+			const json = GeoPattern.generate('GitHub').toJSON()
+
+			Object.keys(json).forEach(function (name) {
+				const incomplete = { ...json }
+
+				delete incomplete[name]
+				assert.throws(
+					function () {
+						GeoPattern.fromJSON(incomplete)
+					},
+					new RegExp('^TypeError: The pattern descriptor has no valid ' + name + '\\.$')
+				)
+			})
+			assert.throws(function () {
+				GeoPattern.fromJSON({ ...json, palette: '#222' })
+			}, /has no valid palette/)
+			assert.throws(function () {
+				GeoPattern.fromJSON({ ...json, params: null })
+			}, /has no valid params/)
+		})
+
+		it('should restore the seed of the initials of avatars', function () {
+			const pattern = GeoPattern.generate('Jane Doe')
+			const restored = GeoPattern.fromJSON(JSON.stringify(pattern))
+
+			assert.equal(restored.seed, 'Jane Doe')
+			assert.equal(restored.toAvatar({ initials: true }), pattern.toAvatar({ initials: true }))
+		})
+
+		it('should restore comments', function () {
+			const pattern = GeoPattern.generate('GitHub')
+
+			pattern.svg.svg.appendComment(' cached ')
+			assert.equal(GeoPattern.fromJSON(pattern.toJSON()).toSvg(), pattern.toSvg())
+		})
+
+		it('should reject other values', function () {
+			const json = GeoPattern.generate('GitHub').toJSON()
+
+			assert.throws(function () {
+				GeoPattern.fromJSON({ hash: json.hash })
+			}, TypeError)
+			assert.throws(function () {
+				GeoPattern.fromJSON(null)
+			}, /not a pattern descriptor/)
+			assert.throws(function () {
+				GeoPattern.fromJSON({ ...json, version: 2 })
+			}, /version 2 is not supported/)
+			assert.throws(function () {
+				GeoPattern.fromJSON({ ...json, svg: { tagName: 'svg' } })
+			}, /not a valid XML element/)
+		})
+	})
+
+	describe('#toAvatar()', function () {
+		function render(svg) {
+			return rasterize(toNode(parse(svg).children[0]))
+		}
+
+		function alpha(image, x, y) {
+			return image.data[(y * image.width + x) * 4 + 3]
+		}
+
+		it('should clip a square of the tile to a circle', function () {
+			const pattern = GeoPattern.generate('Jane Doe')
+			const root = parse(pattern.toAvatar()).children[0]
+			const image = render(pattern.toAvatar())
+			const side = Math.min(pattern.tileWidth, pattern.tileHeight)
+
+			assert.deepEqual([root.properties.width, root.properties.height], [128, 128])
+			assert.equal(root.properties.viewBox, '0 0 ' + side + ' ' + side)
+			assert.equal(root.children[0].children[1].tagName, 'clipPath')
+			assert.equal(root.children[0].children[1].children[0].tagName, 'circle')
+			assert.equal(alpha(image, 0, 0), 0)
+			assert.equal(alpha(image, 64, 64), 255)
+			assert.equal(alpha(image, 64, 1), 255)
+		})
+
+		it('should clip to the other shapes', function () {
+			const pattern = GeoPattern.generate('Jane Doe')
+			const corners = { rounded: 0, squircle: 0, hexagon: 0, square: 255 }
+
+			Object.keys(corners).forEach(function (shape) {
+				const image = render(pattern.toAvatar({ shape: shape }))
+
+				assert.equal(alpha(image, 2, 2), corners[shape], shape)
+				assert.equal(alpha(image, 64, 64), 255, shape)
+			})
+			assert.equal(alpha(render(pattern.toAvatar({ shape: 'hexagon' })), 2, 64), 0)
+			assert.equal(alpha(render(pattern.toAvatar({ shape: 'squircle' })), 2, 64), 255)
+		})
+
+		it('should scale the tile to the size', function () {
+			const pattern = GeoPattern.generate('Jane Doe')
+
+			;[32, 64, 256].forEach(function (size) {
+				const image = render(pattern.toAvatar({ size: size }))
+
+				assert.deepEqual([image.width, image.height], [size, size])
+			})
+		})
+
+		it('should draw initials in the readable text color', function () {
+			const pattern = GeoPattern.generate('Jane Doe')
+			const text = function (options) {
+				const svg = pattern.toAvatar(options)
+				const match = /<text[^>]* fill="([^"]+)">([^<]*)<\/text>/.exec(svg)
+
+				return match && [match[2], match[1]]
+			}
+
+			assert.equal(text(), null)
+			assert.deepEqual(text({ initials: true }), ['JD', pattern.textColor])
+			assert.deepEqual(text({ initials: 'Zo' }), ['Zo', pattern.textColor])
+		})
+
+		it('should derive the initials from the seed', function () {
+			const initials = function (seed) {
+				return /<text[^>]*>([^<]*)<\/text>/.exec(GeoPattern.generate(seed).toAvatar({ initials: true }))[1]
+			}
+
+			assert.equal(initials('Jane Doe'), 'JD')
+			assert.equal(initials('jane.van.doe@example.com'), 'JD')
+			assert.equal(initials('émile'), 'É')
+			assert.equal(initials('  Ada   Lovelace '), 'AL')
+		})
+
+		it('should reject invalid options', function () {
+			const pattern = GeoPattern.generate('Jane Doe')
+
+			assert.throws(function () {
+				pattern.toAvatar({ shape: 'star' })
+			}, /avatar shape star does not exist/)
+			assert.throws(function () {
+				pattern.toAvatar({ size: -32 })
+			}, RangeError)
+			assert.throws(function () {
+				pattern.toAvatar({ initials: 'ABC' })
+			}, /at most two characters/)
+		})
+	})
+
+	describe('#toPatternElement()', function () {
+		it('should wrap the pattern in a tile-sized <pattern> element', function () {
+			const pattern = GeoPattern.generate('GitHub')
+			const svg = pattern.svg.svg
+			const element = parse(pattern.toPatternElement({ id: 'github' })).children[0]
+
+			assert.equal(element.tagName, 'pattern')
+			assert.deepEqual(element.properties, {
+				id: 'github',
+				patternUnits: 'userSpaceOnUse',
+				width: svg.attributes.width,
+				height: svg.attributes.height,
+			})
+		})
+
+		it('should default to an id following the hash and color', function () {
+			const element = GeoPattern.generate('GitHub').toPatternElement()
+
+			assert.ok(element.startsWith('<pattern id="geopattern-5442e2b6-455e8a-pattern"'))
+		})
+
+		it('should size the content in pixels', function () {
+			const pattern = GeoPattern.generate('GitHub', { background: 'mesh-like' })
+			const element = parse(pattern.toPatternElement()).children[0]
+			const root = toNode({ ...element, tagName: 'svg', properties: pattern.svg.svg.attributes })
+
+			const expected = rasterize(pattern.svg.svg).data
+			const actual = rasterize(root).data
+
+			assert.ok(!/%/.test(pattern.toPatternElement()))
+			assert.equal(actual.length, expected.length)
+			for (let i = 0; i < actual.length; i++) {
+				assert.ok(Math.abs(actual[i] - expected[i]) <= 1)
+			}
+		})
+
+		it('should take the output options', function () {
+			const pattern = GeoPattern.generate('GitHub', { generator: 'hexagons' })
+
+			assert.equal(pattern.toPatternElement({ optimize: true }).match(/<polyline/g).length, 1)
+		})
+
+		it('should wrap the element in <defs>', function () {
+			const pattern = GeoPattern.generate('GitHub')
+
+			assert.equal(pattern.toDefs({ id: 'github' }), '<defs>' + pattern.toPatternElement({ id: 'github' }) + '</defs>')
+		})
+
+		it('should reject invalid ids', function () {
+			;['', '1st', 'a b', 'x"y', 42].forEach(function (id) {
+				assert.throws(function () {
+					GeoPattern.generate('GitHub').toPatternElement({ id: id })
+				}, TypeError)
+			})
+		})
+	})
+
+	describe('#toPng()', function () {
+		it('should encode a PNG the size of the tile', function () {
+			const png = GeoPattern.generate('squares', { generator: 'squares' }).toPng()
+			const image = decodePng(png)
+
+			assert.deepEqual(Array.from(png.slice(0, 8)), [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+			assert.equal(image.width, 100)
+			assert.equal(image.height, 100)
+		})
+
+		it('should composite the translucent shapes over the background', function () {
+			const pattern = GeoPattern.generate('squares', { generator: 'squares' })
+			const image = decodePng(pattern.toPng())
+			// First square: #ddd at 0.0373 fill-opacity over rgb(151,56,60)
+			const expected = [151, 56, 60].map(function (c) {
+				return Math.round(c + (221 - c) * (0.02 + (0.13 * 2) / 15))
+			})
+
+			assert.deepEqual(image.pixel(8, 8), expected.concat(255))
+		})
+
+		it('should repeat the tile to fill the requested size', function () {
+			const image = decodePng(GeoPattern.generate('GitHub').toPng({ width: 400, height: 300 }))
+
+			assert.equal(image.width, 400)
+			assert.equal(image.height, 300)
+			assert.deepEqual(image.pixel(7, 19), image.pixel(7 + 160, 19 + 160))
+		})
+
+		it('should scale the tile', function () {
+			const image = decodePng(GeoPattern.generate('squares', { generator: 'squares' }).toPng({ scale: 0.5 }))
+
+			assert.equal(image.width, 50)
+			assert.equal(image.height, 50)
+		})
+
+		it('should reject invalid sizes', function () {
+			assert.throws(function () {
+				GeoPattern.generate('GitHub').toPng({ width: -1 })
+			}, RangeError)
+		})
+	})
+
+	describe('#drawTo()', function () {
+		it('should paint a tile at the origin by default', function () {
+			const ctx = mockContext()
+			const pattern = GeoPattern.generate('squares', { generator: 'squares' })
+
+			assert.equal(pattern.drawTo(ctx), pattern)
+			assert.deepEqual(ctx.calls.slice(0, 4), [
+				{ method: 'save', args: [] },
+				{ method: 'beginPath', args: [] },
+				{ method: 'rect', args: [0, 0, 100, 100] },
+				{ method: 'clip', args: [] },
+			])
+			assert.equal(countCalls(ctx, 'translate'), 1)
+			assert.equal(countCalls(ctx, 'save'), countCalls(ctx, 'restore'))
+		})
+
+		it('should paint each shape with its color and opacity', function () {
+			const ctx = mockContext()
+			const pattern = GeoPattern.generate('squares', { generator: 'squares' })
+			const rects = parse(pattern.toSvg()).children[0].children.filter(function (node) {
+				return node.tagName === 'rect'
+			})
+
+			pattern.drawTo(ctx)
+			const painted = ctx.calls.filter(function (call) {
+				return call.method === 'fill'
+			})
+
+			assert.equal(painted.length, rects.length)
+			assert.deepEqual(painted[0], { method: 'fill', args: [], style: 'rgba(151,56,60,1)', alpha: 1 })
+			assert.equal(painted[1].style, 'rgba(221,221,221,1)')
+			assert.equal(painted[1].alpha, rects[1].properties['fill-opacity'])
+			assert.equal(countCalls(ctx, 'stroke'), rects.length - 1)
+		})
+
+		it('should repeat the tile to fill the rectangle', function () {
+			const ctx = mockContext()
+			const pattern = GeoPattern.generate('squares', { generator: 'squares' })
+			const translations = function () {
+				return ctx.calls
+					.filter(function (call) {
+						return call.method === 'translate'
+					})
+					.map(function (call) {
+						return call.args
+					})
+			}
+
+			pattern.drawTo(ctx, { x: 10, y: 20, width: 250, height: 150 })
+
+			assert.deepEqual(ctx.calls[2].args, [10, 20, 250, 150])
+			assert.deepEqual(translations(), [
+				[10, 20],
+				[110, 20],
+				[210, 20],
+				[10, 120],
+				[110, 120],
+				[210, 120],
+			])
+		})
+
+		it('should apply the transforms of the shapes', function () {
+			const ctx = mockContext()
+
+			GeoPattern.generate('hexagons', { generator: 'hexagons' }).drawTo(ctx)
+
+			assert.equal(
+				ctx.calls.find(function (call) {
+					return call.method === 'transform'
+				}).args.length,
+				6
+			)
+			assert.ok(countCalls(ctx, 'lineTo') > 0)
+		})
+
+		it('should paint gradient backgrounds with canvas gradients, repeated over the tile', function () {
+			const linear = mockContext()
+			const radial = mockContext()
+
+			GeoPattern.generate('GitHub', { background: 'linear' }).drawTo(linear)
+			GeoPattern.generate('GitHub', { background: 'radial' }).drawTo(radial)
+
+			const gradient = linear.calls.find(function (call) {
+				return call.method === 'createLinearGradient'
+			})
+			const fill = linear.calls.find(function (call) {
+				return call.method === 'fill'
+			})
+
+			assert.equal(fill.style, gradient)
+			// Two periods of the three stops span the diagonal of the tile
+			assert.deepEqual(gradient.args, [0, 0, 1, 1])
+			assert.deepEqual(
+				gradient.stops.map(function (stop) {
+					return stop[0]
+				}),
+				[0, 0.25, 0.5, 0.5, 0.75, 1]
+			)
+			assert.equal(gradient.stops[1][1], 'rgba(69,138,113,1)')
+			assert.equal(countCalls(radial, 'createRadialGradient'), 1)
+		})
+
+		it('should blend translucent groups at once, like toPng()', function () {
+			const pattern = GeoPattern.generate('GitHub', { generator: 'xes', params: { squareSize: 10 } })
+			const width = Math.round(pattern.tileWidth * 1.5)
+			const height = Math.round(pattern.tileHeight * 1.5)
+			const canvas = svgContext(width, height)
+			const expected = rasterize(pattern.svg.svg, { width: width, height: height }).data
+
+			pattern.drawTo(canvas.ctx, { width: width, height: height })
+			const actual = rasterize(canvas.root).data
+
+			assert.equal(actual.length, expected.length)
+			for (let i = 0; i < actual.length; i++) {
+				assert.ok(Math.abs(actual[i] - expected[i]) <= 1, 'channel ' + i)
+			}
+		})
+
+		it('should paint the stored shapes of restored patterns, without their generator', function () {
+			GeoPattern.registerGenerator('bars', function (svg) {
+				svg.setWidth(40)
+				svg.setHeight(40)
+				svg.rect(0, 0, 20, '100%', { fill: '#222' })
+			})
+			const pattern = GeoPattern.generate('GitHub', { generator: 'bars' })
+			const restored = GeoPattern.fromJSON(pattern.toJSON())
+			GeoPattern.unregisterGenerator('bars')
+
+			;[pattern, restored].forEach(function (drawn) {
+				const ctx = mockContext()
+
+				drawn.drawTo(ctx)
+				assert.deepEqual(ctx.calls[2].args, [0, 0, 40, 40])
+				assert.equal(countCalls(ctx, 'fill'), 2)
+			})
+		})
+
+		it('should paint restored patterns like toPng()', function () {
+			const pattern = GeoPattern.fromJSON(
+				GeoPattern.generate('GitHub', { generator: 'xes', params: { squareSize: 10 }, animate: true }).toJSON()
+			)
+			const canvas = svgContext(pattern.tileWidth, pattern.tileHeight)
+			const expected = rasterize(pattern.svg.svg).data
+
+			pattern.drawTo(canvas.ctx)
+			const actual = rasterize(canvas.root).data
+
+			for (let i = 0; i < actual.length; i++) {
+				assert.ok(Math.abs(actual[i] - expected[i]) <= 1, 'channel ' + i)
+			}
+		})
+
+		it('should reject empty tiles', function () {
+			GeoPattern.registerGenerator('dust', function (svg) {
+				svg.setWidth(0.5)
+				svg.setHeight(10)
+			})
+
+			try {
+				assert.throws(function () {
+					GeoPattern.generate('GitHub', { generator: 'dust' }).drawTo(mockContext())
+				}, /The width and height of the tile must be positive numbers/)
+			} finally {
+				GeoPattern.unregisterGenerator('dust')
+			}
+		})
+
+		it('should reject invalid contexts and rectangles', function () {
+			const pattern = GeoPattern.generate('GitHub')
+
+			assert.throws(function () {
+				pattern.drawTo({})
+			}, TypeError)
+			assert.throws(function () {
+				pattern.drawTo(mockContext(), { width: 0 })
+			}, RangeError)
+			assert.throws(function () {
+				pattern.drawTo(mockContext(), { x: '10' })
+			}, TypeError)
+		})
+	})
+
+	describe('#drawWith()', function () {
+		it('should call the renderer like the SVG builder', function () {
+			const pattern = GeoPattern.generate('squares', { generator: 'squares' })
+			const svg = pattern.toSvg()
+			const renderer = mockRenderer()
+
+			assert.equal(pattern.drawWith(renderer), renderer)
+			assert.equal(pattern.toSvg(), svg)
+			assert.deepEqual(renderer.calls.slice(0, 3), [
+				{ method: 'rect', args: [0, 0, '100%', '100%', { fill: 'rgb(151,56,60)' }] },
+				{ method: 'setWidth', args: [pattern.tileWidth] },
+				{ method: 'setHeight', args: [pattern.tileHeight] },
+			])
+			assert.equal(countCalls(renderer, 'rect'), parse(svg).children[0].children.length)
+		})
+
+		it('should transform the last shape or group', function () {
+			const renderer = GeoPattern.generate('GitHub', { generator: 'xes' }).drawWith(mockRenderer())
+			const i = renderer.calls.findIndex(function (call) {
+				return call.method === 'transform'
+			})
+
+			assert.equal(renderer.calls[i - 1].method, 'group')
+			assert.deepEqual(Object.keys(renderer.calls[i].args[0]), ['translate', 'rotate'])
+			assert.equal(countCalls(renderer, 'group'), countCalls(renderer, 'end'))
+		})
+
+		it('should draw gradients and still shapes only', function () {
+			const renderer = GeoPattern.generate('GitHub', { background: 'linear', animate: true }).drawWith(mockRenderer())
+
+			assert.equal(renderer.calls[0].method, 'linearGradient')
+			assert.equal(renderer.calls[1].args[4].fill, 'url(#' + renderer.calls[0].args[0] + ')')
+		})
+	})
+
+	describe('::registerGenerator()', function () {
+		afterEach(function () {
+			GeoPattern.unregisterGenerator('stripes')
+			GeoPattern.unregisterGenerator('dots')
+		})
+
+		function stripes(svg, hash, helpers) {
+			svg.setWidth(60)
+			svg.setHeight(60)
+
+			for (let i = 0; i < 6; i++) {
+				const val = helpers.hexVal(hash, i)
+				svg.rect(i * 10, 0, 10, '100%', {
+					fill: helpers.fillColor(val),
+					'fill-opacity': helpers.fillOpacity(val),
+				})
+			}
+		}
+
+		it('should make the generator available to options.generator', function () {
+			GeoPattern.registerGenerator('stripes', stripes)
+			const svg = GeoPattern.generate('GitHub', { generator: 'stripes' }).toString()
+
+			assert.ok(svg.includes('width="60"'))
+			assert.equal(svg.match(/<rect/g).length, 7)
+		})
+
+		it('should include the generator in hash-based selection', function () {
+			GeoPattern.registerGenerator('stripes', stripes)
+			GeoPattern.registerGenerator('dots', stripes)
+
+			const picked = new Set()
+			for (let i = 0; i < 200; i++) {
+				const svg = GeoPattern.generate('seed ' + i).toString()
+				picked.add(svg.match(/<rect/g).length === 7 && svg.includes('width="60"'))
+			}
+
+			assert.ok(picked.has(true))
+			assert.ok(picked.has(false))
+		})
+
+		it('should keep hash-based selection stable for most seeds', function () {
+			const before = []
+			for (let i = 0; i < 100; i++) {
+				before.push(GeoPattern.generate('seed ' + i).toString())
+			}
+
+			GeoPattern.registerGenerator('stripes', stripes)
+			const kept = before.filter(function (svg, i) {
+				return GeoPattern.generate('seed ' + i).toString() === svg
+			})
+
+			assert.equal(
+				GeoPattern.generate('GitHub').toString().slice(200, 250),
+				'#000" stroke-opacity="0.02" x="0" y="0" width="26.'
+			)
+			assert.ok(kept.length > 80)
+		})
+
+		it('should let generators read past the end of the hash', function () {
+			const reads = {}
+
+			GeoPattern.registerGenerator('stripes', function (svg, hash, helpers) {
+				svg.setWidth(10)
+				svg.setHeight(10)
+				reads[hash] = []
+				for (let i = 0; i < 1000; i++) {
+					reads[hash].push(helpers.hexVal(hash, i))
+				}
+				reads[hash].push(helpers.hexVal(hash, 38, 4))
+			})
+
+			const a = GeoPattern.generate('GitHub', { generator: 'stripes' }).hash
+			const b = GeoPattern.generate('GitLab', { generator: 'stripes' }).hash
+			const again = reads[a]
+			GeoPattern.generate('GitHub', { generator: 'stripes' })
+
+			const digits = reads[a].map(function (val) {
+				return val.toString(16)
+			})
+
+			assert.ok(reads[a].every(Number.isInteger))
+			assert.equal(digits.slice(0, 40).join(''), a)
+			assert.deepEqual(reads[a], again)
+			assert.notDeepEqual(reads[a].slice(40), reads[b].slice(40))
+			assert.equal(reads[a][1000], parseInt(digits.slice(38, 42).join(''), 16))
+		})
+
+		it('should refuse to replace a built-in generator', function () {
+			assert.throws(function () {
+				GeoPattern.registerGenerator('hexagons', stripes)
+			}, /built-in/)
+		})
+
+		it('should no longer resolve an unregistered generator', function () {
+			GeoPattern.registerGenerator('stripes', stripes)
+			assert.equal(GeoPattern.unregisterGenerator('stripes'), true)
+			assert.equal(GeoPattern.unregisterGenerator('stripes'), false)
+			assert.throws(function () {
+				GeoPattern.generate('GitHub', { generator: 'stripes' })
+			}, /does not exist/)
+		})
+	})
+
+	describe('::verifyTiling()', function () {
+		afterEach(function () {
+			GeoPattern.unregisterGenerator('dots')
+		})
+
+		// A dot on each corner, and copies of the first one when complete
+		function dots(complete) {
+			return function (svg) {
+				svg.setWidth(50)
+				svg.setHeight(50)
+				svg.circle(0, 0, 10, { fill: '#222' })
+
+				if (complete) {
+					svg.circle(50, 0, 10, { fill: '#222' })
+					svg.circle(0, 50, 10, { fill: '#222' })
+					svg.circle(50, 50, 10, { fill: '#222' })
+				}
+			}
+		}
+
+		// Mismatches other than the seams under a pixel left by flooring the size of the tile, where shapes are
+		// copied a fraction of a pixel too far, or overhang the right or bottom edges by less than a pixel
+		function seams(pattern) {
+			return GeoPattern.verifyTiling(pattern).filter(function (mismatch) {
+				const box = mismatch.bounds
+				const { x, y } = mismatch.offset
+
+				return !(
+					mismatch.near ||
+					(x < 0 && box.x + box.width <= pattern.tileWidth + 1) ||
+					(y < 0 && box.y + box.height <= pattern.tileHeight + 1)
+				)
+			})
+		}
+
+		PATTERNS.forEach(function (generator) {
+			it('should find that ' + generator + ' tiles seamlessly, but for its floored size', function () {
+				for (let i = 0; i < 20; i++) {
+					assert.deepEqual(
+						seams(GeoPattern.generate('seed ' + i, { generator: generator })).map(function (mismatch) {
+							return 'seed ' + i + ': ' + mismatch.message
+						}),
+						[]
+					)
+				}
+			})
+		})
+
+		it('should check every grid size and style', function () {
+			;[{ grid: { columns: 4, rows: 4 } }, { grid: { tileSize: 300 } }, { animate: true }, { background: 'mesh-like' }]
+				.map(function (options) {
+					return PATTERNS.map(function (generator) {
+						return GeoPattern.generate('GitHub', { generator: generator, ...options })
+					})
+				})
+				.flat()
+				.forEach(function (pattern) {
+					assert.deepEqual(seams(pattern), [])
+				})
+		})
+
+		it('should report the seams of grids a fraction of a pixel larger than the tile', function () {
+			const pattern = GeoPattern.generate('squares', { generator: 'squares', grid: { columns: 10, rows: 3 } })
+			const mismatches = GeoPattern.verifyTiling(pattern)
+
+			assert.equal(pattern.tileWidth, 166)
+			assert.ok(mismatches.length > 0)
+			mismatches.forEach(function (mismatch) {
+				assert.equal(mismatch.offset.x, -166)
+				assert.ok(mismatch.bounds.x + mismatch.bounds.width > 166)
+			})
+		})
+
+		it('should report copies placed at the size of the grid instead of the tile', function () {
+			GeoPattern.registerGenerator('dots', function (svg) {
+				svg.setWidth(50.5)
+				svg.setHeight(50)
+				svg.circle(0, 25, 10, { fill: '#222' })
+				svg.circle(50.5, 25, 10, { fill: '#222' })
+			})
+
+			const mismatches = GeoPattern.verifyTiling(GeoPattern.generate('GitHub', { generator: 'dots' }))
+
+			assert.deepEqual(
+				mismatches.map(function (mismatch) {
+					return [mismatch.offset, mismatch.near]
+				}),
+				[
+					[
+						{ x: 50, y: 0 },
+						{ x: 50.5, y: 0 },
+					],
+					[
+						{ x: -50, y: 0 },
+						{ x: -50.5, y: 0 },
+					],
+				]
+			)
+			assert.equal(
+				mismatches[0].message,
+				'The circle at -10, 15 crosses an edge of the tile, but its copy is offset by 50.5, 0 instead of 50, 0.'
+			)
+		})
+
+		it('should report shapes crossing an edge without a copy', function () {
+			GeoPattern.registerGenerator('dots', dots(false))
+			const mismatches = GeoPattern.verifyTiling(GeoPattern.generate('GitHub', { generator: 'dots' }))
+
+			assert.deepEqual(
+				mismatches.map(function (mismatch) {
+					return mismatch.offset
+				}),
+				[
+					{ x: 0, y: 50 },
+					{ x: 50, y: 0 },
+					{ x: 50, y: 50 },
+				]
+			)
+			assert.equal(mismatches[0].element.tagName, 'circle')
+			assert.deepEqual(mismatches[0].bounds, { x: -10, y: -10, width: 20, height: 20 })
+			assert.equal(
+				mismatches[0].message,
+				'The circle at -10, -10 crosses an edge of the tile, but no copy of it is offset by 0, 50.'
+			)
+		})
+
+		it('should accept copies, and shapes continuing themselves across the tile', function () {
+			GeoPattern.registerGenerator('dots', dots(true))
+
+			assert.deepEqual(GeoPattern.verifyTiling(GeoPattern.generate('GitHub', { generator: 'dots' })), [])
+			assert.deepEqual(GeoPattern.verifyTiling(GeoPattern.generate('GitHub', { generator: 'sineWaves' })), [])
+		})
+
+		it('should require copies with the same style', function () {
+			GeoPattern.registerGenerator('dots', function (svg) {
+				svg.setWidth(50)
+				svg.setHeight(50)
+				svg.circle(0, 25, 10, { fill: '#222' })
+				svg.circle(50, 25, 10, { fill: '#ddd' })
+			})
+
+			assert.deepEqual(
+				GeoPattern.verifyTiling(GeoPattern.generate('GitHub', { generator: 'dots' })).map(function (mismatch) {
+					return mismatch.offset
+				}),
+				[
+					{ x: 50, y: 0 },
+					{ x: -50, y: 0 },
+				]
+			)
+		})
+
+		it('should reject values that are not patterns', function () {
+			assert.throws(function () {
+				GeoPattern.verifyTiling('<svg></svg>')
+			}, TypeError)
+		})
+	})
+})
+
+describe('geopattern CLI', function () {
+	function cli(args, input) {
+		return execFileSync(process.execPath, ['bin/geopattern.js'].concat(args), { input: input || '', encoding: 'utf8' })
+	}
+
+	it('should print the SVG of a seed', function () {
+		assert.equal(cli(['GitHub']), GeoPattern.generate('GitHub').toSvg() + '\n')
+	})
+
+	it('should read seeds from stdin and apply the options', function () {
+		const options = { generator: 'squares', baseColor: '#3c933c' }
+		const expected = ['one', 'two'].map(function (seed) {
+			return GeoPattern.generate(seed, options).toDataUrl() + '\n'
+		})
+
+		assert.equal(cli(['-g', 'squares', '--base-color', '#3c933c', '-f', 'dataurl'], 'one\ntwo\n'), expected.join(''))
+	})
+
+	it('should write one file per seed to a directory', function () {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'geopattern-'))
+
+		try {
+			cli(['-o', dir, '-c', '#ff7f00', 'a b', 'a/b'])
+			assert.deepEqual(fs.readdirSync(dir).sort(), ['a-b-2.svg', 'a-b.svg'])
+			assert.equal(
+				fs.readFileSync(path.join(dir, 'a-b.svg'), 'utf8'),
+				GeoPattern.generate('a b', { color: '#ff7f00' }).toSvg()
+			)
+		} finally {
+			fs.rmSync(dir, { recursive: true })
+		}
+	})
+
+	it('should fail on an unknown format', function () {
+		assert.throws(function () {
+			execFileSync(process.execPath, ['bin/geopattern.js', '-f', 'gif', 'x'], { stdio: 'pipe' })
+		}, /Unknown format gif/)
 	})
 })
 